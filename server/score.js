@@ -1,5 +1,55 @@
 const SUITS = ['S', 'H', 'D', 'C'];
 
+// House rules. The defaults are the standard table; rooms may override any field.
+const DEFAULT_RULES = {
+  headPairByRank: true, // 頭墩對子按點數計分（2–A）；false 則固定 headPair 分
+  headPair: 2,
+  midStraightFlush: 10,
+  midTrips: 6,
+  tailStraightFlush: 5,
+  tailTrips: 3,
+  tieToDealer: true, // 同大歸莊；false 則和局 0 分
+  bonus: {
+    allRed: 5,
+    allBlack: 5,
+    threeSnake: 3,
+    fourKind: 10,
+    fourPairs: 10,
+    mixedDragon: 15,
+    threeStraightFlush: 25,
+    twoFourKind: 30,
+    greenDragon: 100,
+    noHand: 3,
+  },
+};
+const MAX_RULE_POINTS = 1000;
+
+function normalizeRules(raw, base = DEFAULT_RULES) {
+  const src = raw && typeof raw === 'object' ? raw : {};
+  const points = (v, fallback, min = 1) => {
+    const n = Math.round(Number(v));
+    if (!Number.isFinite(n)) return fallback;
+    return Math.min(MAX_RULE_POINTS, Math.max(min, n));
+  };
+  const flag = (v, fallback) => (v === undefined ? fallback : !!v);
+  const out = {
+    headPairByRank: flag(src.headPairByRank, base.headPairByRank),
+    headPair: points(src.headPair, base.headPair),
+    midStraightFlush: points(src.midStraightFlush, base.midStraightFlush),
+    midTrips: points(src.midTrips, base.midTrips),
+    tailStraightFlush: points(src.tailStraightFlush, base.tailStraightFlush),
+    tailTrips: points(src.tailTrips, base.tailTrips),
+    tieToDealer: flag(src.tieToDealer, base.tieToDealer),
+    bonus: {},
+  };
+  const srcBonus = src.bonus && typeof src.bonus === 'object' ? src.bonus : {};
+  for (const code of Object.keys(DEFAULT_RULES.bonus)) {
+    // 0 would turn a valid 報到 into 報到不符, so bonuses start at 1
+    out.bonus[code] = points(srcBonus[code], base.bonus?.[code] ?? DEFAULT_RULES.bonus[code]);
+  }
+  return out;
+}
+
 function cardKey(c) {
   if (c.s === 'J') return c.j;
   return `${c.r}${c.s}`;
@@ -155,59 +205,59 @@ function compareEval(a, b) {
   return 0;
 }
 
-function headWinPoints(e2) {
+function headWinPoints(e2, rules = DEFAULT_RULES) {
   if (e2?.cat === 1) {
+    if (!rules.headPairByRank) return rules.headPair;
     const r = Number(e2.t?.[0] || 0);
     if (r >= 2 && r <= 14) return r;
   }
   return 1;
 }
 
-function midWinPoints(e3) {
-  if (e3?.cat === 5) return 10;
-  if (e3?.cat === 4) return 6;
+function midWinPoints(e3, rules = DEFAULT_RULES) {
+  if (e3?.cat === 5) return rules.midStraightFlush;
+  if (e3?.cat === 4) return rules.midTrips;
   return 1;
 }
 
-function tailWinPoints(e3) {
-  if (e3?.cat === 5) return 5;
-  if (e3?.cat === 4) return 3;
+function tailWinPoints(e3, rules = DEFAULT_RULES) {
+  if (e3?.cat === 5) return rules.tailStraightFlush;
+  if (e3?.cat === 4) return rules.tailTrips;
   return 1;
 }
 
-function headSectionScore(playerE, dealerE) {
+function sectionScore(winPoints, playerE, dealerE, rules) {
   const cmp = Math.sign(compareEval(playerE, dealerE));
-  if (cmp === 0) return -headWinPoints(dealerE);
-  if (cmp > 0) return headWinPoints(playerE);
-  return -headWinPoints(dealerE);
+  if (cmp === 0) return rules.tieToDealer ? -winPoints(dealerE, rules) : 0;
+  if (cmp > 0) return winPoints(playerE, rules);
+  return -winPoints(dealerE, rules);
 }
 
-function midSectionScore(playerE, dealerE) {
-  const cmp = Math.sign(compareEval(playerE, dealerE));
-  if (cmp === 0) return -midWinPoints(dealerE);
-  if (cmp > 0) return midWinPoints(playerE);
-  return -midWinPoints(dealerE);
+function headSectionScore(playerE, dealerE, rules = DEFAULT_RULES) {
+  return sectionScore(headWinPoints, playerE, dealerE, rules);
 }
 
-function tailSectionScore(playerE, dealerE) {
-  const cmp = Math.sign(compareEval(playerE, dealerE));
-  if (cmp === 0) return -tailWinPoints(dealerE);
-  if (cmp > 0) return tailWinPoints(playerE);
-  return -tailWinPoints(dealerE);
+function midSectionScore(playerE, dealerE, rules = DEFAULT_RULES) {
+  return sectionScore(midWinPoints, playerE, dealerE, rules);
 }
 
-function strength2(cards) {
-  const e = eval2(cards);
-  const t = e.t;
-  return e.cat * 1e9 + (t[0] || 0) * 1e6 + (t[1] || 0) * 1e3;
+function tailSectionScore(playerE, dealerE, rules = DEFAULT_RULES) {
+  return sectionScore(tailWinPoints, playerE, dealerE, rules);
 }
 
-function strength3(cards) {
-  const e = eval3(cards);
+function strengthOfEval(e) {
   const t = e.t;
   return e.cat * 1e9 + (t[0] || 0) * 1e6 + (t[1] || 0) * 1e3 + (t[2] || 0);
 }
 
+function strength2(cards) {
+  return strengthOfEval(eval2(cards));
+}
+
+function strength3(cards) {
+  return strengthOfEval(eval3(cards));
+}
+
 function isAllFilled(arr) {
   return arr.every((x) => x);
 }
@@ -242,7 +292,7 @@ function canBeStraight2(cards) {
   return false;
 }
 
-function validateSpecial(code, all9Cards, sub, evals) {
+function validateSpecial(code, all9Cards, sub, evals, rules = DEFAULT_RULES) {
   const c = code || 'none';
   if (c === 'none') return { ok: true, bonus: 0 };
 
@@ -250,18 +300,7 @@ function validateSpecial(code, all9Cards, sub, evals) {
   const jokers = all.filter((x) => x.s === 'J').length;
   const nonJ = all.filter((x) => x.s !== 'J');
 
-  const bonusMap = {
-    allRed: 5,
-    allBlack: 5,
-    threeSnake: 3,
-    fourKind: 10,
-    fourPairs: 10,
-    mixedDragon: 15,
-    threeStraightFlush: 25,
-    twoFourKind: 30,
-    greenDragon: 100,
-    noHand: 3,
-  };
+  const bonusMap = rules.bonus;
 
   const isRed = (s) => s === 'H' || s === 'D';
   const isBlack = (s) => s === 'S' || s === 'C';
@@ -402,6 +441,174 @@ function validateSpecial(code, all9Cards, sub, evals) {
   return { ok, bonus: ok ? bonusMap[c] || 0 : 0 };
 }
 
+// Rough chance that a section beats the dealer's, by category and top rank.
+// Only used to rank auto-arrangements; scoring never looks at it.
+function sectionWinOdds(e, size) {
+  const top = Math.min(1, Math.max(0, (Number(e.t?.[0] || 2) - 2) / 12));
+  if (size === 2) {
+    if (e.cat === 1) return 0.55 + 0.4 * top;
+    return 0.05 + 0.35 * top;
+  }
+  if (e.cat === 5) return 0.99;
+  if (e.cat === 4) return 0.88 + 0.1 * top;
+  if (e.cat === 3) return 0.75 + 0.1 * top;
+  if (e.cat === 1) return 0.3 + 0.4 * top;
+  return 0.02 + 0.2 * top;
+}
+
+function arrangementValue(eHead, eMid, eTail, rules = DEFAULT_RULES) {
+  const ph = sectionWinOdds(eHead, 2);
+  const pm = sectionWinOdds(eMid, 3);
+  const pt = sectionWinOdds(eTail, 3);
+  return (
+    ph * headWinPoints(eHead, rules) - (1 - ph) +
+    pm * midWinPoints(eMid, rules) - (1 - pm) +
+    pt * tailWinPoints(eTail, rules) - (1 - pt)
+  );
+}
+
+const SPECIAL_CODES = [
+  'greenDragon',
+  'twoFourKind',
+  'threeStraightFlush',
+  'mixedDragon',
+  'fourKind',
+  'fourPairs',
+  'allRed',
+  'allBlack',
+  'threeSnake',
+  'noHand',
+];
+// Only these depend on how the 8 cards are split; the rest only on the dealer card.
+const SPLIT_SPECIALS = new Set(['threeSnake', 'threeStraightFlush']);
+
+function safetyValue(eHead, eMid, eTail) {
+  return sectionWinOdds(eHead, 2) + sectionWinOdds(eMid, 3) + sectionWinOdds(eTail, 3);
+}
+
+function enumerateArrangements(cards9, rules = DEFAULT_RULES) {
+  const cache = new Map();
+  const evalOf = (cards) => {
+    const key = cards.map(cardKey).sort().join(',');
+    if (!cache.has(key)) cache.set(key, cards.length === 2 ? eval2(cards) : eval3(cards));
+    return cache.get(key);
+  };
+
+  const candidates = [];
+  for (let d = 0; d < 9; d += 1) {
+    const rest = cards9.filter((_, i) => i !== d);
+    for (let a = 0; a < 8; a += 1) {
+      for (let b = a + 1; b < 8; b += 1) {
+        const head = [rest[a], rest[b]];
+        const six = rest.filter((_, i) => i !== a && i !== b);
+        for (let x = 0; x < 6; x += 1) {
+          for (let y = x + 1; y < 6; y += 1) {
+            for (let z = y + 1; z < 6; z += 1) {
+              const mid = [six[x], six[y], six[z]];
+              const tail = six.filter((_, i) => i !== x && i !== y && i !== z);
+              const evals = { head: evalOf(head), mid: evalOf(mid), tail: evalOf(tail) };
+              const sh = strengthOfEval(evals.head);
+              const sm = strengthOfEval(evals.mid);
+              candidates.push({
+                dealerIndex: d,
+                dealerCard: cards9[d],
+                head,
+                mid,
+                tail,
+                evals,
+                foul: sh > sm || sm > strengthOfEval(evals.tail),
+                value: arrangementValue(evals.head, evals.mid, evals.tail, rules),
+                safety: safetyValue(evals.head, evals.mid, evals.tail),
+              });
+            }
+          }
+        }
+      }
+    }
+  }
+  return candidates;
+}
+
+// Prefer giving up the weakest dealer card when values tie.
+function compareByValue(p, q) {
+  return q.value - p.value || compareSelectCard(p.dealerCard, q.dealerCard);
+}
+
+// One arrangement per 報到 the candidates can reach, biggest bonus first.
+// A valid 報到 overrides 擺烏龍, so fouled splits still count, just ranked last.
+function findSpecials(cards9, candidates, rules = DEFAULT_RULES) {
+  const ranked = candidates.slice().sort((p, q) => Number(p.foul) - Number(q.foul) || compareByValue(p, q));
+  const found = [];
+  for (const code of SPECIAL_CODES) {
+    const checkedDealer = new Set();
+    for (const c of ranked) {
+      if (!SPLIT_SPECIALS.has(code)) {
+        if (checkedDealer.has(c.dealerIndex)) continue;
+        checkedDealer.add(c.dealerIndex);
+      }
+      const sp = validateSpecial(code, cards9, c, c.evals, rules);
+      if (sp.ok && sp.bonus > 0) {
+        found.push({ code, bonus: sp.bonus, arrangement: toArrangement(c, code) });
+        break;
+      }
+    }
+  }
+  return found.sort((p, q) => q.bonus - p.bonus);
+}
+
+// Every 報到 the 9 cards qualify for, biggest bonus first: [{ code, bonus, arrangement }].
+// With an arrangement, only that exact dealer card / 2/3/3 split is checked.
+function detectSpecials(cards9, arrangement = null, rules = DEFAULT_RULES) {
+  if (!Array.isArray(cards9) || cards9.length !== 9) return [];
+  if (!arrangement) return findSpecials(cards9, enumerateArrangements(cards9, rules), rules);
+
+  const evals = { head: eval2(arrangement.head), mid: eval3(arrangement.mid), tail: eval3(arrangement.tail) };
+  const found = [];
+  for (const code of SPECIAL_CODES) {
+    const sp = validateSpecial(code, cards9, arrangement, evals, rules);
+    if (sp.ok && sp.bonus > 0) found.push({ code, bonus: sp.bonus });
+  }
+  return found.sort((p, q) => q.bonus - p.bonus);
+}
+
+// Rank every dealer card × 2/3/3 split of the 9 cards (5040 in total).
+// best: highest estimated points; safest: most sections likely won, ignoring points;
+// specials: see detectSpecials(). Evals are cached per card set, so jokers stay cheap.
+function solveArrangements(cards9, { withSpecials = true, rules = DEFAULT_RULES } = {}) {
+  if (!Array.isArray(cards9) || cards9.length !== 9) return null;
+
+  const candidates = enumerateArrangements(cards9, rules);
+  const legal = candidates.filter((c) => !c.foul);
+  const pick = (list) => list.find((c) => !detectFoul(c.head, c.mid, c.tail).foul) || null;
+  const best = pick(legal.slice().sort(compareByValue));
+  const safest = pick(legal.slice().sort((p, q) => q.safety - p.safety || compareByValue(p, q)));
+
+  return {
+    best: best ? toArrangement(best) : null,
+    safest: safest ? toArrangement(safest) : null,
+    specials: withSpecials ? findSpecials(cards9, candidates, rules) : [],
+  };
+}
+
+function toArrangement(c, report = 'none') {
+  return {
+    dealerCard: c.dealerCard,
+    head: c.head,
+    mid: c.mid,
+    tail: c.tail,
+    report,
+    names: { head: c.evals.head.name, mid: c.evals.mid.name, tail: c.evals.tail.name },
+    foul: c.foul,
+  };
+}
+
+// Legal arrangement used when SERVER submits on a player's behalf.
+function findAutoArrangement(cards9, rules = DEFAULT_RULES) {
+  const best = solveArrangements(cards9, { withSpecials: false, rules })?.best;
+  if (!best) return null;
+  return { dealerCard: best.dealerCard, head: best.head, mid: best.mid, tail: best.tail, report: 'none' };
+}
+
 function computeDealerIdFromSubmissions(submissions) {
   const ids = Object.keys(submissions || {});
   let bestId = null;
@@ -419,9 +626,10 @@ function computeDealerIdFromSubmissions(submissions) {
   return bestId;
 }
 
-function computeRoundResult({ submissions, dealerOverride }) {
+function computeRoundResult({ submissions, dealerOverride, rules: rawRules = null }) {
   const ids = Object.keys(submissions || {});
   if (!ids.length) throw new Error('No submissions');
+  const rules = normalizeRules(rawRules);
 
   const evalMap = {};
   const reportMap = {};
@@ -433,7 +641,7 @@ function computeRoundResult({ submissions, dealerOverride }) {
     const se = { head: eval2(sub.head), mid: eval3(sub.mid), tail: eval3(sub.tail) };
     evalMap[id] = se;
     const all9 = [sub.dealerCard, ...sub.head, ...sub.mid, ...sub.tail];
-    const sp = validateSpecial(sub.report, all9, sub, se);
+    const sp = validateSpecial(sub.report, all9, sub, se, rules);
     reportMap[id] = sp;
     foulMap[id] = detectFoul(sub.head, sub.mid, sub.tail);
   }
@@ -474,6 +682,20 @@ function computeRoundResult({ submissions, dealerOverride }) {
   const dealerReport = reportMap[dealerId] || { ok: false, bonus: 0 };
   const dealerReportOk = dealerReportCode !== 'none' && dealerReport.ok && dealerReport.bonus > 0;
 
+  // Outcome flags for stored rounds and stats, so nothing has to read `note`:
+  // reportOk is null without a 報到; reportOnly means the 墩 were not compared.
+  const withFlags = (results) => {
+    for (const id of ids) {
+      const reportCode = submissions[id].report || 'none';
+      const sp = reportMap[id] || { ok: false, bonus: 0 };
+      const reportOk = reportCode !== 'none' && sp.ok && sp.bonus > 0;
+      results[id].wulong = wulongSet.has(id);
+      results[id].reportOk = reportCode === 'none' ? null : reportOk;
+      results[id].reportOnly = dealerReportOk || (id !== dealerId && reportOk);
+    }
+    return { dealerId, results };
+  };
+
   if (dealerReportOk) {
     const bonus = dealerReport.bonus;
     if (!hasNonDealerReportOk) {
@@ -493,7 +715,7 @@ function computeRoundResult({ submissions, dealerOverride }) {
           dealerCard: sub.dealerCard,
         };
       }
-      return { dealerId, results };
+      return withFlags(results);
     }
 
     const results = {};
@@ -541,7 +763,7 @@ function computeRoundResult({ submissions, dealerOverride }) {
       evalNames: { head: dealerSe.head.name, mid: dealerSe.mid.name, tail: dealerSe.tail.name },
       dealerCard: dealerSub.dealerCard,
     };
-    return { dealerId, results };
+    return withFlags(results);
   }
 
   const results = {};
@@ -570,9 +792,9 @@ function computeRoundResult({ submissions, dealerOverride }) {
       }
 
       const per = {
-        head: -headWinPoints(dealerEval.head),
-        mid: -midWinPoints(dealerEval.mid),
-        tail: -tailWinPoints(dealerEval.tail),
+        head: -headWinPoints(dealerEval.head, rules),
+        mid: -midWinPoints(dealerEval.mid, rules),
+        tail: -tailWinPoints(dealerEval.tail, rules),
       };
       const total = per.head + per.mid + per.tail;
 
@@ -612,31 +834,31 @@ function computeRoundResult({ submissions, dealerOverride }) {
 
     if (id !== dealerId) {
       if (wulongDealer) {
-        per.head = headWinPoints(se.head);
-        per.mid = midWinPoints(se.mid);
-        per.tail = tailWinPoints(se.tail);
+        per.head = headWinPoints(se.head, rules);
+        per.mid = midWinPoints(se.mid, rules);
+        per.tail = tailWinPoints(se.tail, rules);
         total = per.head + per.mid + per.tail;
         noteParts.push('莊家失誤：三墩全勝');
       } else {
-        per.head = headSectionScore(se.head, dealerEval.head);
-        per.mid = midSectionScore(se.mid, dealerEval.mid);
-        per.tail = tailSectionScore(se.tail, dealerEval.tail);
+        per.head = headSectionScore(se.head, dealerEval.head, rules);
+        per.mid = midSectionScore(se.mid, dealerEval.mid, rules);
+        per.tail = tailSectionScore(se.tail, dealerEval.tail, rules);
         total = per.head + per.mid + per.tail;
 
         if (Math.abs(per.head) !== 0 && (se.head.cat === 1 || dealerEval.head.cat === 1)) {
-          if (per.head > 0 && se.head.cat === 1) noteParts.push(`頭墩對子+${headWinPoints(se.head)}`);
-          if (per.head < 0 && dealerEval.head.cat === 1) noteParts.push(`頭墩對子-${headWinPoints(dealerEval.head)}`);
+          if (per.head > 0 && se.head.cat === 1) noteParts.push(`頭墩對子+${headWinPoints(se.head, rules)}`);
+          if (per.head < 0 && dealerEval.head.cat === 1) noteParts.push(`頭墩對子-${headWinPoints(dealerEval.head, rules)}`);
         }
         if (
           Math.abs(per.mid) !== 0 &&
           (se.mid.cat === 5 || se.mid.cat === 4 || dealerEval.mid.cat === 5 || dealerEval.mid.cat === 4)
         ) {
           if (per.mid > 0) {
-            if (se.mid.cat === 5) noteParts.push('中墩同花順+10');
-            else if (se.mid.cat === 4) noteParts.push('中墩三條+6');
+            if (se.mid.cat === 5) noteParts.push(`中墩同花順+${rules.midStraightFlush}`);
+            else if (se.mid.cat === 4) noteParts.push(`中墩三條+${rules.midTrips}`);
           } else {
-            if (dealerEval.mid.cat === 5) noteParts.push('中墩同花順-10');
-            else if (dealerEval.mid.cat === 4) noteParts.push('中墩三條-6');
+            if (dealerEval.mid.cat === 5) noteParts.push(`中墩同花順-${rules.midStraightFlush}`);
+            else if (dealerEval.mid.cat === 4) noteParts.push(`中墩三條-${rules.midTrips}`);
           }
         }
         if (
@@ -644,11 +866,11 @@ function computeRoundResult({ submissions, dealerOverride }) {
           (se.tail.cat === 5 || se.tail.cat === 4 || dealerEval.tail.cat === 5 || dealerEval.tail.cat === 4)
         ) {
           if (per.tail > 0) {
-            if (se.tail.cat === 5) noteParts.push('尾墩同花順+5');
-            else if (se.tail.cat === 4) noteParts.push('尾墩三條+3');
+            if (se.tail.cat === 5) noteParts.push(`尾墩同花順+${rules.tailStraightFlush}`);
+            else if (se.tail.cat === 4) noteParts.push(`尾墩三條+${rules.tailTrips}`);
           } else {
-            if (dealerEval.tail.cat === 5) noteParts.push('尾墩同花順-5');
-            else if (dealerEval.tail.cat === 4) noteParts.push('尾墩三條-3');
+            if (dealerEval.tail.cat === 5) noteParts.push(`尾墩同花順-${rules.tailStraightFlush}`);
+            else if (dealerEval.tail.cat === 4) noteParts.push(`尾墩三條-${rules.tailTrips}`);
           }
         }
       }
@@ -677,9 +899,17 @@ function computeRoundResult({ submissions, dealerOverride }) {
     results[dealerId].note = (results[dealerId].note ? `${results[dealerId].note}｜` : '') + extra;
   }
 
-  return { dealerId, results };
+  return withFlags(results);
 }
 
 module.exports = {
+  DEFAULT_RULES,
+  normalizeRules,
   computeRoundResult,
+  eval2,
+  eval3,
+  detectFoul,
+  findAutoArrangement,
+  solveArrangements,
+  detectSpecials,
 };
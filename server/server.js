@@ -4,11 +4,53 @@ const path = require('path');
 const { WebSocketServer } = require('ws');
 const crypto = require('crypto');
 const { Pool } = require('pg');
-const { computeRoundResult } = require('./score');
+const sharp = require('sharp');
+const {
+  computeRoundResult,
+  findAutoArrangement,
+  solveArrangements,
+  detectSpecials,
+  normalizeRules,
+} = require('./score');
 
 const PORT = Number.parseInt(process.env.PORT || '3000', 10);
 const SERVER_HOST_ID = 'SERVER';
 const RECORD_ROOM_IDS = new Set(['DAY', 'MON']);
+const MAX_ROUNDS_TOTAL = 500;
+// 54 cards / 9 per hand. ROOM_MAX_SEATS (or a room's maxSeats setting) can only lower it.
+const MAX_SEATS = 6;
+const DEFAULT_MAX_SEATS = clampSeats(process.env.ROOM_MAX_SEATS, MAX_SEATS);
+const ROOM_PASSWORD_MAX_LENGTH = 64;
+const ARRANGE_LIMIT_MS = 60000;
+// Extra time before SERVER steps in, so the client's own timeout submit lands first.
+const ARRANGE_GRACE_MS = 3000;
+// How long a seat that dropped mid-round waits for a resume before SERVER submits for it.
+const RESUME_GRACE_MS = 20000;
+// How long a reveal waits for 下一局; seats still idle then sit out (same as the client host).
+const NEXT_READY_TIMEOUT_MS = 30000;
+// Chat kept per room and replayed in `welcome`; text matches the client host's 200-char cut.
+const CHAT_LOG_LIMIT = 100;
+const CHAT_TEXT_MAX_LENGTH = 200;
+// At most CHAT_RATE_LIMIT chat/danmaku/poop messages per socket in any CHAT_RATE_WINDOW_MS.
+const CHAT_RATE_LIMIT = 5;
+const CHAT_RATE_WINDOW_MS = 5000;
+// /solve runs a ~200ms search on the event loop: at most SOLVE_RATE_LIMIT per client and
+// SOLVE_GLOBAL_RATE_LIMIT overall in any SOLVE_RATE_WINDOW_MS.
+const SOLVE_RATE_LIMIT = 5;
+const SOLVE_GLOBAL_RATE_LIMIT = 20;
+const SOLVE_RATE_WINDOW_MS = 10000;
+// DAY/MON ledgers close at local midnight (DAY, optionally shifted) and month end (MON).
+const PERIOD_UTC_OFFSET_MINUTES = Number.parseInt(process.env.PERIOD_UTC_OFFSET_MINUTES || '480', 10) || 0;
+const DAY_ROLLOVER_HOUR = Math.min(23, Math.max(0, Number.parseInt(process.env.DAY_ROLLOVER_HOUR || '0', 10) || 0));
+const PERIOD_CHECK_INTERVAL_MS = 60000;
+const PERIOD_KEY_RE = /^\d{4}-\d{2}(?:-\d{2})?$/;
+// Without a DB, ledgers, rounds, players.json and avatars are written under DATA_DIR (default
+// <repo>/data, git-ignored). The tracked records/<ROOM>.json only seed a ledger DATA_DIR
+// does not have yet.
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, '..', 'data'));
+const RECORDS_DIR = path.join(DATA_DIR, 'records');
+const SEED_RECORDS_DIR = path.resolve(__dirname, '..', 'records');
+const ROUNDS_DIR = path.join(DATA_DIR, 'rounds');
 
 let recordsPool = null;
 let recordsDbReady = false;
@@ -36,9 +78,324 @@ async function ensureRecordsDb() {
       updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
     )
   `);
+  await recordsPool.query(`
+    CREATE TABLE IF NOT EXISTS room_rounds (
+      room_id TEXT NOT NULL,
+      round_no INTEGER NOT NULL,
+      data JSONB NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      PRIMARY KEY (room_id, round_no)
+    )
+  `);
+  await recordsPool.query(`
+    CREATE TABLE IF NOT EXISTS room_record_archives (
+      room_id TEXT NOT NULL,
+      period_key TEXT NOT NULL,
+      record JSONB NOT NULL,
+      archived_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      PRIMARY KEY (room_id, period_key)
+    )
+  `);
+  await recordsPool.query(`
+    CREATE TABLE IF NOT EXISTS room_record_audit (
+      id BIGSERIAL PRIMARY KEY,
+      room_id TEXT NOT NULL,
+      source TEXT NOT NULL,
+      client_id TEXT NOT NULL DEFAULT '',
+      version INTEGER NOT NULL,
+      period_key TEXT,
+      before JSONB,
+      after JSONB NOT NULL,
+      diff JSONB NOT NULL,
+      reverted_from BIGINT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+  await recordsPool.query('CREATE INDEX IF NOT EXISTS room_record_audit_room_idx ON room_record_audit (room_id, id DESC)');
+  await recordsPool.query(`
+    CREATE TABLE IF NOT EXISTS room_chat (
+      id BIGSERIAL PRIMARY KEY,
+      room_id TEXT NOT NULL,
+      data JSONB NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+  await recordsPool.query('CREATE INDEX IF NOT EXISTS room_chat_room_idx ON room_chat (room_id, id DESC)');
+  await recordsPool.query(`
+    CREATE TABLE IF NOT EXISTS players (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      secret_hashes JSONB NOT NULL DEFAULT '[]'::jsonb,
+      pin_hash TEXT NOT NULL DEFAULT '',
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+  await recordsPool.query('CREATE INDEX IF NOT EXISTS players_name_idx ON players (name)');
+  // audit before/after were keyed by display name until ledgers moved to player ids
+  await recordsPool.query("ALTER TABLE room_record_audit ADD COLUMN IF NOT EXISTS keyed_by TEXT NOT NULL DEFAULT 'name'");
+  // avatars were keyed by display name (player_avatars) until they moved to player ids;
+  // those rows are not carried over, since a name never proved who uploaded them
+  await recordsPool.query(`
+    CREATE TABLE IF NOT EXISTS avatars (
+      player_id TEXT PRIMARY KEY,
+      mime TEXT NOT NULL,
+      data BYTEA NOT NULL,
+      etag TEXT NOT NULL,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
   recordsDbReady = true;
 }
 
+// -------------------- Players --------------------
+// A player is a stable id with a mutable display name; ledgers key scores by id. A browser
+// keeps its id and a random secret (only hashes are stored, one per signed-in device), and
+// an optional PIN signs the same player in on another device. Players without any secret
+// are "unclaimed": names carried over from name-keyed ledgers, or seats of clients that
+// never registered. Registering under an unclaimed name takes that player over, the same
+// trust the old name-keyed ledger gave whoever typed the name.
+const PLAYER_ID_RE = /^p_[0-9a-f]{16}$/;
+const PLAYER_NAME_MAX_LENGTH = 20;
+const PLAYER_SECRET_MAX_LENGTH = 128;
+const PLAYER_DEVICES_MAX = 5;
+const PLAYER_PIN_RE = /^\d{4,8}$/;
+const PIN_MAX_FAILURES = 5;
+const PIN_LOCK_MS = 10 * 60000;
+const PLAYERS_FILE = path.join(DATA_DIR, 'players.json');
+
+let playersFileCache = null;
+let playersFileWrite = Promise.resolve();
+const playerNameResolves = new Map();
+const pinFailures = new Map(); // playerId -> { count, lockedUntil }
+const solveRequests = new Map(); // client address -> recent /solve times; '*' holds every client's
+
+function normalizePlayerName(value) {
+  return String(value || '').slice(0, PLAYER_NAME_MAX_LENGTH).trim();
+}
+
+function newPlayerId() {
+  return `p_${crypto.randomBytes(8).toString('hex')}`;
+}
+
+function playerSecretHash(secret) {
+  return sha256Hex(`player:${secret}`);
+}
+
+function hashPin(pin) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  return `${salt}:${crypto.scryptSync(pin, salt, 32).toString('hex')}`;
+}
+
+function pinMatches(pinHash, pin) {
+  const [salt, hash] = String(pinHash || '').split(':');
+  if (!salt || !hash) return false;
+  return safeEqual(crypto.scryptSync(String(pin), salt, 32).toString('hex'), hash);
+}
+
+function playerRowToJson(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    secretHashes: Array.isArray(row.secret_hashes) ? row.secret_hashes : [],
+    pinHash: row.pin_hash || '',
+  };
+}
+
+async function loadPlayersFile() {
+  if (playersFileCache) return playersFileCache;
+  let parsed = {};
+  try {
+    parsed = JSON.parse(await fs.readFile(PLAYERS_FILE, 'utf8'))?.players || {};
+  } catch (error) {
+    if (error?.code !== 'ENOENT') throw error;
+  }
+  playersFileCache = new Map(Object.entries(parsed));
+  return playersFileCache;
+}
+
+async function readPlayer(id) {
+  if (!PLAYER_ID_RE.test(String(id || ''))) return null;
+  if (hasRecordsDb()) {
+    await ensureRecordsDb();
+    const result = await recordsPool.query('SELECT * FROM players WHERE id = $1 LIMIT 1', [id]);
+    return result.rows.length ? playerRowToJson(result.rows[0]) : null;
+  }
+  return (await loadPlayersFile()).get(id) || null;
+}
+
+async function savePlayer(player) {
+  if (hasRecordsDb()) {
+    await ensureRecordsDb();
+    await recordsPool.query(
+      `
+        INSERT INTO players (id, name, secret_hashes, pin_hash)
+        VALUES ($1, $2, $3::jsonb, $4)
+        ON CONFLICT (id) DO UPDATE
+        SET name = EXCLUDED.name, secret_hashes = EXCLUDED.secret_hashes, pin_hash = EXCLUDED.pin_hash,
+            updated_at = NOW()
+      `,
+      [player.id, player.name, JSON.stringify(player.secretHashes || []), player.pinHash || ''],
+    );
+    return player;
+  }
+  const players = await loadPlayersFile();
+  players.set(player.id, { id: player.id, name: player.name, secretHashes: player.secretHashes || [], pinHash: player.pinHash || '' });
+  playersFileWrite = playersFileWrite
+    .catch(() => {})
+    .then(async () => {
+      await fs.mkdir(path.dirname(PLAYERS_FILE), { recursive: true });
+      const tmpPath = `${PLAYERS_FILE}.${process.pid}.tmp`;
+      await fs.writeFile(tmpPath, JSON.stringify({ players: Object.fromEntries(players) }, null, 2), 'utf8');
+      await fs.rename(tmpPath, PLAYERS_FILE);
+    });
+  await playersFileWrite;
+  return player;
+}
+
+async function findUnclaimedPlayer(name) {
+  if (hasRecordsDb()) {
+    await ensureRecordsDb();
+    const result = await recordsPool.query(
+      "SELECT * FROM players WHERE name = $1 AND secret_hashes = '[]'::jsonb ORDER BY created_at ASC LIMIT 1",
+      [name],
+    );
+    return result.rows.length ? playerRowToJson(result.rows[0]) : null;
+  }
+  for (const player of (await loadPlayersFile()).values()) {
+    if (player.name === name && !player.secretHashes?.length) return player;
+  }
+  return null;
+}
+
+async function findClaimedPlayers(name) {
+  if (hasRecordsDb()) {
+    await ensureRecordsDb();
+    const result = await recordsPool.query(
+      "SELECT * FROM players WHERE name = $1 AND secret_hashes <> '[]'::jsonb ORDER BY created_at ASC LIMIT 2",
+      [name],
+    );
+    return result.rows.map(playerRowToJson);
+  }
+  return [...(await loadPlayersFile()).values()].filter((p) => p.name === name && p.secretHashes?.length).slice(0, 2);
+}
+
+async function readPlayerNames(ids) {
+  const wanted = [...new Set(ids)].filter((id) => PLAYER_ID_RE.test(id));
+  if (!wanted.length) return {};
+  if (hasRecordsDb()) {
+    await ensureRecordsDb();
+    const result = await recordsPool.query('SELECT id, name FROM players WHERE id = ANY($1::text[])', [wanted]);
+    return Object.fromEntries(result.rows.map((row) => [row.id, row.name]));
+  }
+  const players = await loadPlayersFile();
+  const names = {};
+  for (const id of wanted) if (players.has(id)) names[id] = players.get(id).name;
+  return names;
+}
+
+// Ledger id for a name with no signed-in player behind it: the unclaimed player of that
+// name, created on first use. Claimed players are never matched by name.
+function resolvePlayerIdForName(rawName) {
+  const name = normalizePlayerName(rawName) || '玩家';
+  if (playerNameResolves.has(name)) return playerNameResolves.get(name);
+  const task = (async () => {
+    const existing = await findUnclaimedPlayer(name);
+    if (existing) return existing.id;
+    const created = await savePlayer({ id: newPlayerId(), name, secretHashes: [], pinHash: '' });
+    return created.id;
+  })();
+  playerNameResolves.set(name, task);
+  task.finally(() => playerNameResolves.delete(name)).catch(() => {});
+  return task;
+}
+
+async function authenticatePlayer(id, secret) {
+  const value = typeof secret === 'string' ? secret : '';
+  if (!value || value.length > PLAYER_SECRET_MAX_LENGTH) return null;
+  const player = await readPlayer(id);
+  if (!player) return null;
+  const hash = playerSecretHash(value);
+  return player.secretHashes.some((h) => safeEqual(h, hash)) ? player : null;
+}
+
+function issuePlayerSecret(player) {
+  const secret = crypto.randomBytes(24).toString('hex');
+  player.secretHashes = [...(player.secretHashes || []), playerSecretHash(secret)].slice(-PLAYER_DEVICES_MAX);
+  return secret;
+}
+
+function publicPlayer(player) {
+  return { id: player.id, name: player.name, hasPin: Boolean(player.pinHash) };
+}
+
+async function registerPlayer(rawName, pin) {
+  const name = normalizePlayerName(rawName) || '玩家';
+  const player = (await findUnclaimedPlayer(name)) || { id: newPlayerId(), name, secretHashes: [], pinHash: '' };
+  const secret = issuePlayerSecret(player);
+  if (pin) player.pinHash = hashPin(pin);
+  await savePlayer(player);
+  await adoptLegacyScores(player);
+  return { ...publicPlayer(player), secret };
+}
+
+async function renamePlayer(player, name) {
+  if (player.name === name) return player;
+  const renamed = await savePlayer({ ...player, name });
+  await adoptLegacyScores(renamed);
+  return renamed;
+}
+
+// Migration parks each name-keyed score on the unclaimed player of that name. A claimed
+// player taking such a name (register or rename) takes those scores over, so the ledger
+// does not end up with two entries for one person.
+async function adoptLegacyScores(player) {
+  const legacy = await findUnclaimedPlayer(player.name);
+  if (!legacy || legacy.id === player.id) return;
+  for (const roomId of RECORD_ROOM_IDS) {
+    for (let attempt = 0; attempt < 3; attempt += 1) {
+      const record = await rolloverRecordIfNeeded(roomId);
+      const ids = Object.entries(record?.legacyIds || {});
+      if (!ids.some(([name, id]) => id === legacy.id && normalizePlayerName(name) === player.name)) break;
+      const scoresById = { ...(record.scoresById || {}) };
+      if (scoresById[legacy.id] !== undefined) {
+        scoresById[player.id] = Number(scoresById[player.id] || 0) + Number(scoresById[legacy.id] || 0);
+        delete scoresById[legacy.id];
+      }
+      const legacyIds = {};
+      for (const [name, id] of ids) legacyIds[name] = id === legacy.id ? player.id : id;
+      const next = { ...record, scoresById, legacyIds };
+      const saved = await writeAnyRecord(roomId, next, {
+        expectedVersion: recordVersion(record),
+        source: 'migrate',
+        clientId: SERVER_HOST_ID,
+      });
+      if (!saved) continue;
+      applyLedgerToLiveRoom(roomId, await recordWithNames(saved));
+      break;
+    }
+  }
+}
+
+async function loginPlayerWithPin(id, pin) {
+  const lock = pinFailures.get(id);
+  if (lock && lock.lockedUntil > Date.now()) return { status: 429, error: 'Too many PIN attempts' };
+  const player = await readPlayer(id);
+  if (!player || !player.pinHash || !pinMatches(player.pinHash, pin)) {
+    // only real players are counted, so made-up ids cannot grow the map
+    if (player) {
+      const expired = Boolean(lock?.lockedUntil);
+      const count = (expired ? 0 : lock?.count || 0) + 1;
+      pinFailures.set(id, { count, lockedUntil: count >= PIN_MAX_FAILURES ? Date.now() + PIN_LOCK_MS : 0 });
+    }
+    return { status: 401, error: 'Wrong player id or PIN' };
+  }
+  pinFailures.delete(id);
+  const secret = issuePlayerSecret(player);
+  await savePlayer(player);
+  return { body: { ...publicPlayer(player), secret } };
+}
+
 function normalizeRecordRoomId(value) {
   const roomId = String(value || '').trim().toUpperCase();
   if (!RECORD_ROOM_IDS.has(roomId)) return null;
@@ -61,14 +418,16 @@ async function readRecord(roomId) {
 }
 
 async function readRecordFromFile(roomId) {
-  const filePath = path.resolve(__dirname, '..', 'records', `${roomId}.json`);
-  let raw;
-  try {
-    raw = await fs.readFile(filePath, 'utf8');
-  } catch (error) {
-    if (error?.code === 'ENOENT') return null;
-    throw error;
+  let raw = null;
+  for (const dir of [RECORDS_DIR, SEED_RECORDS_DIR]) {
+    try {
+      raw = await fs.readFile(path.join(dir, `${roomId}.json`), 'utf8');
+      break;
+    } catch (error) {
+      if (error?.code !== 'ENOENT') throw error;
+    }
   }
+  if (raw === null) return null;
   let parsed;
   try {
     parsed = JSON.parse(raw);
@@ -87,124 +446,1609 @@ async function readAnyRecord(roomId) {
   return readRecordFromFile(roomId);
 }
 
-async function writeRecord(roomId, record) {
+// Ledgers store scoresById. Ones written before player ids (scoresByName) are mapped to
+// the unclaimed player of each name; two names resolving to one player add up. The
+// mapping stays on the ledger as legacyIds for reverting to name-keyed audit entries.
+async function migrateRecordToIds(record) {
+  if (!record || record.scoresById) return record;
+  const { scoresByName, names: _names, ...rest } = record;
+  const scoresById = {};
+  const legacyIds = {};
+  for (const [name, value] of Object.entries(scoresByName || {})) {
+    if (!String(name).trim()) continue;
+    const id = await resolvePlayerIdForName(name);
+    legacyIds[name] = id;
+    scoresById[id] = Number(scoresById[id] || 0) + Number(value || 0);
+  }
+  return { ...rest, scoresById, legacyIds };
+}
+
+async function legacyScoresToIds(scoresByName, record) {
+  const scoresById = {};
+  for (const [name, value] of Object.entries(scoresByName || {})) {
+    if (!String(name).trim()) continue;
+    const id = record?.legacyIds?.[name] || (await resolvePlayerIdForName(name));
+    scoresById[id] = Number(scoresById[id] || 0) + Number(value || 0);
+  }
+  return scoresById;
+}
+
+// { label: score } for clients that still think in names; a label shared by two players
+// gets a #xxxx suffix from the id so neither entry hides the other.
+function displayLabels(ids, names) {
+  const counts = {};
+  for (const id of ids) counts[names[id] || id] = (counts[names[id] || id] || 0) + 1;
+  const labels = {};
+  for (const id of ids) {
+    const name = names[id] || id;
+    labels[id] = counts[name] > 1 ? `${name}#${id.slice(-4)}` : name;
+  }
+  return labels;
+}
+
+function scoresByDisplayName(scoresById, names) {
+  const labels = displayLabels(Object.keys(scoresById), names);
+  const out = {};
+  for (const [id, value] of Object.entries(scoresById)) out[labels[id]] = Number(value || 0);
+  return out;
+}
+
+// Read view of a ledger: current display names plus the derived scoresByName.
+// Writers drop both again (ledgerFields).
+async function recordWithNames(record) {
+  if (!record?.scoresById) return record;
+  const names = await readPlayerNames(Object.keys(record.scoresById));
+  return { ...record, names, scoresByName: scoresByDisplayName(record.scoresById, names) };
+}
+
+function ledgerFields(record) {
+  const { scoresByName, names: _names, ...rest } = record || {};
+  return rest.scoresById ? rest : { ...rest, scoresByName };
+}
+
+// Browser saves still send scoresByName: labels already in the ledger keep their player,
+// new names go to the unclaimed player of that name.
+async function clientScoresToIds(scoresByName, current) {
+  const ids = Object.keys(current?.scoresById || {});
+  const labels = displayLabels(ids, await readPlayerNames(ids));
+  const byLabel = new Map(ids.map((id) => [labels[id], id]));
+  const scoresById = {};
+  for (const [label, value] of Object.entries(scoresByName || {})) {
+    if (!String(label).trim()) continue;
+    const id = byLabel.get(label) || (await resolvePlayerIdForName(label));
+    scoresById[id] = Number(scoresById[id] || 0) + Number(value || 0);
+  }
+  return scoresById;
+}
+
+async function readMigratedRecordFromFile(roomId) {
+  const record = await readRecordFromFile(roomId);
+  if (!record || record.scoresById) return record;
+  return writeRecordToFile(roomId, await migrateRecordToIds(record), { source: 'migrate', clientId: SERVER_HOST_ID });
+}
+
+const fileRecordWrites = new Map();
+
+// File fallback of writeRecord: the audit line is appended before the record is renamed
+// into place, so a write never lands without one. Writes to one room run one at a time,
+// which makes the expectedVersion check as safe as the SQL one within this process.
+function writeRecordToFile(roomId, record, { expectedVersion = null, source = 'save', clientId = '' } = {}) {
+  const task = (fileRecordWrites.get(roomId) || Promise.resolve())
+    .catch(() => {})
+    .then(async () => {
+      const filePath = path.join(RECORDS_DIR, `${roomId}.json`);
+      const previous = await readRecordFromFile(roomId);
+      if (expectedVersion !== null && recordVersion(previous) !== expectedVersion) return null;
+      const { roomId: _roomId, updatedAt: _updatedAt, version: _version, ...rest } = ledgerFields(record);
+      const payload = {
+        roomId,
+        updatedAt: new Date().toISOString(),
+        ...rest,
+        version: recordVersion(previous || record) + 1,
+      };
+      await fs.mkdir(RECORDS_DIR, { recursive: true });
+      const tmpPath = `${filePath}.${process.pid}.tmp`;
+      await fs.writeFile(tmpPath, JSON.stringify(payload, null, 2), 'utf8');
+      const entry = auditEntryFields(source, clientId, payload, previous?.scoresById || null);
+      await fs.appendFile(
+        path.join(RECORDS_DIR, `${roomId}.audit.jsonl`),
+        `${JSON.stringify({ ...entry, diff: diffScores(entry.before, entry.after), at: payload.updatedAt })}\n`,
+        'utf8',
+      );
+      await fs.rename(tmpPath, filePath);
+      return payload;
+    });
+  fileRecordWrites.set(roomId, task);
+  return task;
+}
+
+async function writeAnyRecord(roomId, record, options = {}) {
+  if (hasRecordsDb()) return writeRecord(roomId, record, options);
+  return writeRecordToFile(roomId, record, options);
+}
+
+function recordVersion(record) {
+  const version = Number(record?.version || 0);
+  return Number.isInteger(version) && version > 0 ? version : 0;
+}
+
+// Runs fn(client) inside one transaction on a dedicated pool client.
+async function withRecordsTransaction(fn) {
   await ensureRecordsDb();
+  const client = await recordsPool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Every write bumps record.version and appends an audit entry in the same transaction, so
+// a failed audit insert fails the write. With expectedVersion set the write only lands
+// while the stored record is still at that version; returns null otherwise.
+async function writeRecord(
+  roomId,
+  record,
+  { expectedVersion = null, source = 'save', clientId = '', revertedFrom = null } = {},
+) {
   const nowIso = new Date().toISOString();
+  const { version: _version, ...rest } = ledgerFields(record);
   const payload = {
-    ...(record || {}),
+    ...rest,
     roomId,
     updatedAt: nowIso,
   };
-  await recordsPool.query(
+  return withRecordsTransaction(async (client) => {
+    const result = await client.query(
     `
+      WITH previous AS (SELECT record FROM room_records WHERE room_id = $1)
       INSERT INTO room_records (room_id, record, updated_at)
-      VALUES ($1, $2::jsonb, $3::timestamptz)
+      VALUES ($1, $2::jsonb || '{"version":1}'::jsonb, $3::timestamptz)
       ON CONFLICT (room_id) DO UPDATE
-      SET record = EXCLUDED.record,
+      SET record = EXCLUDED.record || jsonb_build_object('version', COALESCE((room_records.record->>'version')::int, 0) + 1),
           updated_at = EXCLUDED.updated_at
+      WHERE $4::int IS NULL OR COALESCE((room_records.record->>'version')::int, 0) = $4::int
+      RETURNING record, (SELECT record FROM previous) AS previous
+    `,
+      [roomId, JSON.stringify(payload), nowIso, expectedVersion],
+    );
+    if (!result.rows.length) return null;
+    const saved = result.rows[0].record;
+    // a name-keyed previous ledger has no id-keyed "before": the migrate entry lists everyone as added
+    await appendAuditEntry(client, roomId, {
+      ...auditEntryFields(source, clientId, saved, result.rows[0].previous?.scoresById || null),
+      revertedFrom,
+    });
+    return saved;
+  });
+}
+
+function auditEntryFields(source, clientId, saved, before) {
+  return {
+    source,
+    clientId: String(clientId || '').slice(0, 64),
+    version: recordVersion(saved),
+    periodKey: saved.periodKey || null,
+    before,
+    after: saved.scoresById || {},
+  };
+}
+
+const AUDIT_PAGE_SIZE = 50;
+const MAX_AUDIT_PAGE_SIZE = 200;
+// Sources a browser may claim for its own /save; the rest are SERVER-only.
+const CLIENT_AUDIT_SOURCES = new Set(['save', 'rename', 'reveal']);
+
+// { playerId: [before, after] } for every player whose score changed (null = absent).
+function diffScores(before, after) {
+  const diff = {};
+  const prev = before || {};
+  const next = after || {};
+  for (const key of new Set([...Object.keys(prev), ...Object.keys(next)])) {
+    const a = key in prev ? Number(prev[key]) : null;
+    const b = key in next ? Number(next[key]) : null;
+    if (a !== b) diff[key] = [a, b];
+  }
+  return diff;
+}
+
+async function appendAuditEntry(client, roomId, { source, clientId, version, periodKey, before, after, revertedFrom }) {
+  await client.query(
+    `
+      INSERT INTO room_record_audit
+        (room_id, source, client_id, version, period_key, before, after, diff, reverted_from, keyed_by)
+      VALUES ($1, $2, $3, $4, $5, $6::jsonb, $7::jsonb, $8::jsonb, $9, 'id')
+    `,
+    [
+      roomId,
+      source,
+      clientId,
+      version,
+      periodKey,
+      before ? JSON.stringify(before) : null,
+      JSON.stringify(after || {}),
+      JSON.stringify(diffScores(before, after)),
+      revertedFrom,
+    ],
+  );
+}
+
+function auditRowToJson(row) {
+  return {
+    id: Number(row.id),
+    source: row.source,
+    clientId: row.client_id || '',
+    version: Number(row.version || 0),
+    periodKey: row.period_key || null,
+    before: row.before || null,
+    after: row.after || {},
+    diff: row.diff || {},
+    revertedFrom: row.reverted_from === null || row.reverted_from === undefined ? null : Number(row.reverted_from),
+    // 'name' for entries written before ledgers were keyed by player id
+    keyedBy: row.keyed_by || 'name',
+    at: row.created_at instanceof Date ? row.created_at.toISOString() : String(row.created_at || ''),
+  };
+}
+
+async function listAuditEntries(roomId, { page = 1, limit = AUDIT_PAGE_SIZE } = {}) {
+  await ensureRecordsDb();
+  const countResult = await recordsPool.query('SELECT COUNT(*)::int AS total FROM room_record_audit WHERE room_id = $1', [
+    roomId,
+  ]);
+  const result = await recordsPool.query(
+    `
+      SELECT *
+      FROM room_record_audit
+      WHERE room_id = $1
+      ORDER BY id DESC
+      LIMIT $2 OFFSET $3
+    `,
+    [roomId, limit, (page - 1) * limit],
+  );
+  const entries = result.rows.map(auditRowToJson);
+  const ids = entries
+    .filter((entry) => entry.keyedBy === 'id')
+    .flatMap((entry) => [...Object.keys(entry.before || {}), ...Object.keys(entry.after)]);
+  return {
+    roomId,
+    page,
+    limit,
+    total: Number(countResult.rows[0]?.total || 0),
+    names: await readPlayerNames(ids),
+    entries,
+  };
+}
+
+async function readAuditEntry(roomId, id) {
+  await ensureRecordsDb();
+  const result = await recordsPool.query('SELECT * FROM room_record_audit WHERE room_id = $1 AND id = $2 LIMIT 1', [
+    roomId,
+    id,
+  ]);
+  return result.rows.length ? auditRowToJson(result.rows[0]) : null;
+}
+
+// Restores the scores to what they were right after the given audit entry.
+async function revertToAuditEntry(roomId, id, clientId) {
+  const entry = await readAuditEntry(roomId, id);
+  if (!entry) return { status: 404, body: { error: 'Audit entry not found' } };
+  const current = await rolloverRecordIfNeeded(roomId);
+  if (entry.periodKey !== current.periodKey) {
+    return { status: 409, body: { error: 'Audit entry belongs to a closed period', periodKey: current.periodKey } };
+  }
+  const scoresById = entry.keyedBy === 'id' ? entry.after : await legacyScoresToIds(entry.after, current);
+  const saved = await writeRecord(
+    roomId,
+    { ...current, scoresById },
+    { expectedVersion: recordVersion(current), source: 'revert', clientId, revertedFrom: entry.id },
+  );
+  if (!saved) {
+    return { status: 409, body: { error: 'Version conflict', record: await recordWithNames(await readRecord(roomId)) } };
+  }
+  const named = await recordWithNames(saved);
+  applyLedgerToLiveRoom(roomId, named);
+  return { status: 200, body: { ok: true, ...named } };
+}
+
+function parseRecordVersion(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const version = Number(String(value).replace(/^W\//, '').replace(/"/g, '').trim());
+  return Number.isInteger(version) && version >= 0 ? version : null;
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a || ''));
+  const right = Buffer.from(String(b || ''));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Same X-Persist-Key secret as worker.js, or a per-room token (PERSIST_TOKEN_DAY /
+// PERSIST_TOKEN_MON) sent as a Bearer token. Closed when neither is configured: SERVER
+// still writes the ledgers of its own rooms, but nobody can write one over HTTP.
+function isRecordWriteAuthorized(req, roomId) {
+  const secret = process.env.PERSIST_SECRET || '';
+  const roomToken = process.env[`PERSIST_TOKEN_${roomId}`] || '';
+  if (secret && safeEqual(req.headers['x-persist-key'], secret)) return true;
+  const bearer = String(req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+  return Boolean(roomToken && bearer && safeEqual(bearer, roomToken));
+}
+
+// Operator-only actions (audit revert) take the X-Persist-Key secret; room tokens don't
+// qualify, and nothing does while PERSIST_SECRET is unset.
+function isAdminAuthorized(req) {
+  const secret = process.env.PERSIST_SECRET || '';
+  return Boolean(secret && safeEqual(req.headers['x-persist-key'], secret));
+}
+
+// Client write through /save or POST /records/:roomId. The base version comes from
+// If-Match or body.baseVersion; a missing one only matches a never-versioned record.
+async function saveClientRecord(roomId, record, baseVersion, { source = 'save', clientId = '' } = {}) {
+  const current = await rolloverRecordIfNeeded(roomId);
+  if (record.periodKey && record.periodKey !== current.periodKey) {
+    return { status: 409, body: { error: 'Period closed', periodKey: current.periodKey } };
+  }
+  const { scoresById: _scoresById, legacyIds: _legacyIds, ...fields } = record;
+  const saved = await writeRecord(
+    roomId,
+    {
+      ...fields,
+      scoresById: await clientScoresToIds(record.scoresByName, current),
+      ...(current.legacyIds ? { legacyIds: current.legacyIds } : {}),
+      periodKey: current.periodKey,
+    },
+    {
+      expectedVersion: baseVersion ?? 0,
+      source: CLIENT_AUDIT_SOURCES.has(source) ? source : 'save',
+      clientId: clientId ? `client:${clientId}` : 'client',
+    },
+  );
+  if (!saved) {
+    const latest = await readRecord(roomId);
+    return { status: 409, body: { error: 'Version conflict', record: await recordWithNames(latest) } };
+  }
+  return { status: 200, body: { ok: true, ...(await recordWithNames(saved)) } };
+}
+
+function periodKeyFor(roomId, at = new Date()) {
+  const local = new Date(at.getTime() + PERIOD_UTC_OFFSET_MINUTES * 60000);
+  if (roomId === 'MON') return local.toISOString().slice(0, 7);
+  return new Date(local.getTime() - DAY_ROLLOVER_HOUR * 3600000).toISOString().slice(0, 10);
+}
+
+// Without a DB, archives are RECORDS_DIR/archives/<ROOM>/<periodKey>.json.
+function archiveFilePath(roomId, periodKey) {
+  return path.join(RECORDS_DIR, 'archives', roomId, `${periodKey}.json`);
+}
+
+async function archiveRecord(roomId, periodKey, record) {
+  const archived = {
+    ...(record || {}),
+    roomId,
+    periodKey,
+    closedAt: new Date().toISOString(),
+  };
+  if (!hasRecordsDb()) {
+    const filePath = archiveFilePath(roomId, periodKey);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    try {
+      // first archive of a period wins, like ON CONFLICT DO NOTHING
+      await fs.writeFile(filePath, JSON.stringify(archived, null, 2), { encoding: 'utf8', flag: 'wx' });
+    } catch (error) {
+      if (error?.code !== 'EEXIST') throw error;
+    }
+    return archived;
+  }
+  await ensureRecordsDb();
+  await recordsPool.query(
+    `
+      INSERT INTO room_record_archives (room_id, period_key, record)
+      VALUES ($1, $2, $3::jsonb)
+      ON CONFLICT (room_id, period_key) DO NOTHING
+    `,
+    [roomId, periodKey, JSON.stringify(archived)],
+  );
+  return archived;
+}
+
+async function listArchivedPeriods(roomId) {
+  if (!hasRecordsDb()) {
+    let files = [];
+    try {
+      files = await fs.readdir(path.dirname(archiveFilePath(roomId, 'x')));
+    } catch (error) {
+      if (error?.code !== 'ENOENT') throw error;
+    }
+    const periodKeys = files.map((file) => file.replace(/\.json$/, '')).filter((key) => PERIOD_KEY_RE.test(key));
+    const periods = [];
+    for (const periodKey of periodKeys.sort().reverse()) {
+      const record = await readArchivedPeriod(roomId, periodKey);
+      periods.push({
+        periodKey,
+        archivedAt: String(record?.closedAt || ''),
+        players: Object.keys(record?.scoresById || record?.scoresByName || {}).length,
+      });
+    }
+    return periods;
+  }
+  await ensureRecordsDb();
+  const result = await recordsPool.query(
+    'SELECT period_key, record, archived_at FROM room_record_archives WHERE room_id = $1 ORDER BY period_key DESC',
+    [roomId],
+  );
+  return result.rows.map((row) => ({
+    periodKey: row.period_key,
+    archivedAt: row.archived_at instanceof Date ? row.archived_at.toISOString() : String(row.archived_at || ''),
+    players: Object.keys(row.record?.scoresById || row.record?.scoresByName || {}).length,
+  }));
+}
+
+async function readArchivedPeriod(roomId, periodKey) {
+  if (!hasRecordsDb()) {
+    try {
+      return JSON.parse(await fs.readFile(archiveFilePath(roomId, periodKey), 'utf8'));
+    } catch (error) {
+      if (error?.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+  await ensureRecordsDb();
+  const result = await recordsPool.query(
+    'SELECT record FROM room_record_archives WHERE room_id = $1 AND period_key = $2 LIMIT 1',
+    [roomId, periodKey],
+  );
+  return result.rows.length ? result.rows[0].record : null;
+}
+
+const periodRollovers = new Map();
+
+// Closes the stored ledger when its periodKey is no longer current: archive it,
+// write an empty ledger for the new period and reset live rooms.
+function rolloverRecordIfNeeded(roomId) {
+  if (periodRollovers.has(roomId)) return periodRollovers.get(roomId);
+  const task = (async () => {
+    const periodKey = periodKeyFor(roomId);
+    // the file fallback migrates on read
+    let record = hasRecordsDb() ? await readRecord(roomId) : await readMigratedRecordFromFile(roomId);
+    if (record && !record.scoresById) {
+      const migrated = await writeRecord(roomId, await migrateRecordToIds(record), {
+        expectedVersion: recordVersion(record),
+        source: 'migrate',
+        clientId: SERVER_HOST_ID,
+      });
+      record = migrated || (await readRecord(roomId));
+    }
+    if (record?.periodKey === periodKey) return record;
+    if (!record || !record.periodKey) {
+      return writeAnyRecord(
+        roomId,
+        { ...(record || {}), scoresById: record?.scoresById || {}, periodKey },
+        { source: 'rollover', clientId: SERVER_HOST_ID },
+      );
+    }
+
+    const closedPeriodKey = record.periodKey;
+    await archiveRecord(roomId, closedPeriodKey, record);
+    // the version only matters to the file fallback, which counts on from it
+    const fresh = await writeAnyRecord(
+      roomId,
+      { periodKey, scoresById: {}, scoreHistory: [], version: recordVersion(record) },
+      { source: 'rollover', clientId: SERVER_HOST_ID },
+    );
+    console.log(`Closed ${roomId} period ${closedPeriodKey}, started ${periodKey}`);
+
+    const room = rooms.get(roomId);
+    // a reveal may already have moved the room on (see resolveReveal)
+    if (room && room.mode === 'server' && room.ledgerPeriodKey !== periodKey) startRoomPeriod(room, periodKey);
+    return fresh;
+  })();
+  periodRollovers.set(roomId, task);
+  task.finally(() => periodRollovers.delete(roomId)).catch(() => {});
+  return task;
+}
+
+// Live DAY/MON room entering a new period: match totals restart with the ledger.
+function startRoomPeriod(room, periodKey) {
+  const closedPeriodKey = room.ledgerPeriodKey;
+  room.ledgerPeriodKey = periodKey;
+  room.cumulative = {};
+  room.cumulativeByPlayer = {};
+  relayToRoom(room, { t: 'periodRollover', roomId: room.roomId, periodKey, closedPeriodKey });
+}
+
+// Out-of-band ledger change (revert): make a live room use it, or its next reveal
+// would write the old scores back. Takes the recordWithNames view.
+function applyLedgerToLiveRoom(roomId, record) {
+  const room = rooms.get(roomId);
+  // player-hosted rooms keep their own ledger in the host browser
+  if (!room || room.mode !== 'server') return;
+  const scores = record?.scoresById || {};
+  room.cumulativeByPlayer = { ...scores };
+  for (const p of roomPlayers(room)) {
+    const playerId = room.seatPlayers[p.id];
+    if (playerId) room.cumulative[p.id] = Number(scores[playerId] || 0);
+  }
+  relayToRoom(room, {
+    t: 'ledgerUpdated',
+    roomId,
+    scoresByName: record?.scoresByName || {},
+    cumulative: room.cumulative,
+    version: recordVersion(record),
+  });
+}
+
+function checkPeriodRollovers() {
+  for (const roomId of RECORD_ROOM_IDS) {
+    rolloverRecordIfNeeded(roomId).catch((error) => {
+      console.error(`Failed to roll over period for room ${roomId}:`, error?.message || error);
+    });
+  }
+}
+
+const ROUNDS_PAGE_SIZE = 20;
+const MAX_ROUNDS_PAGE_SIZE = 100;
+const MAX_ROUNDS_ROOM_ID_LENGTH = 64;
+
+function roundRowToJson(row) {
+  return {
+    ...(row.data || {}),
+    n: Number(row.round_no),
+    at: row.created_at instanceof Date ? row.created_at.toISOString() : String(row.created_at || ''),
+  };
+}
+
+// round_no counts every revealed round of the room, across matches.
+async function appendRoundRecord(roomId, data) {
+  await ensureRecordsDb();
+  const result = await recordsPool.query(
+    `
+      INSERT INTO room_rounds (room_id, round_no, data)
+      SELECT $1, COALESCE(MAX(round_no), 0) + 1, $2::jsonb
+      FROM room_rounds
+      WHERE room_id = $1
+      RETURNING round_no
     `,
-    [roomId, JSON.stringify(payload), nowIso],
+    [roomId, JSON.stringify(data)],
   );
-  return payload;
+  return Number(result.rows[0]?.round_no || 0);
 }
 
-const rooms = new Map();
+async function listRoundRecords(roomId, { page = 1, limit = ROUNDS_PAGE_SIZE } = {}) {
+  await ensureRecordsDb();
+  const countResult = await recordsPool.query('SELECT COUNT(*)::int AS total FROM room_rounds WHERE room_id = $1', [
+    roomId,
+  ]);
+  const result = await recordsPool.query(
+    `
+      SELECT round_no, data, created_at
+      FROM room_rounds
+      WHERE room_id = $1
+      ORDER BY round_no DESC
+      LIMIT $2 OFFSET $3
+    `,
+    [roomId, limit, (page - 1) * limit],
+  );
+  return {
+    roomId,
+    page,
+    limit,
+    total: Number(countResult.rows[0]?.total || 0),
+    rounds: result.rows.map(roundRowToJson),
+  };
+}
+
+async function readRoundRecord(roomId, roundNo) {
+  await ensureRecordsDb();
+  const result = await recordsPool.query(
+    'SELECT round_no, data, created_at FROM room_rounds WHERE room_id = $1 AND round_no = $2 LIMIT 1',
+    [roomId, roundNo],
+  );
+  if (!result.rows.length) return null;
+  return roundRowToJson(result.rows[0]);
+}
+
+// Rounds are kept for every SERVER-hosted room, not only DAY/MON.
+function normalizeRoundsRoomId(value) {
+  const roomId = String(value || '').trim().toUpperCase();
+  if (!roomId || roomId.length > MAX_ROUNDS_ROOM_ID_LENGTH || /[\u0000-\u001f]/.test(roomId)) return null;
+  return roomId;
+}
+
+function roundsFilePath(roomId) {
+  return path.join(ROUNDS_DIR, `${encodeURIComponent(roomId)}.jsonl`);
+}
+
+async function readRoundsFile(roomId) {
+  let raw = '';
+  try {
+    raw = await fs.readFile(roundsFilePath(roomId), 'utf8');
+  } catch (error) {
+    if (error?.code !== 'ENOENT') throw error;
+  }
+  const rounds = [];
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      rounds.push(JSON.parse(line));
+    } catch {
+      // a line cut short by a crash; the rounds after it are still good
+    }
+  }
+  return rounds;
+}
+
+const fileRoundWrites = new Map();
+const fileRoundCounts = new Map();
+
+// File fallback of appendRoundRecord: one JSON line per round, appended one at a time per room.
+function appendRoundRecordToFile(roomId, data) {
+  const task = (fileRoundWrites.get(roomId) || Promise.resolve())
+    .catch(() => {})
+    .then(async () => {
+      if (!fileRoundCounts.has(roomId)) {
+        const rounds = await readRoundsFile(roomId);
+        fileRoundCounts.set(roomId, rounds.reduce((max, round) => Math.max(max, Number(round.n) || 0), 0));
+      }
+      const n = fileRoundCounts.get(roomId) + 1;
+      await fs.mkdir(ROUNDS_DIR, { recursive: true });
+      await fs.appendFile(roundsFilePath(roomId), `${JSON.stringify({ ...data, n, at: new Date().toISOString() })}\n`, 'utf8');
+      fileRoundCounts.set(roomId, n);
+      return n;
+    });
+  fileRoundWrites.set(roomId, task);
+  return task;
+}
+
+async function listRoundRecordsFromFile(roomId, { page = 1, limit = ROUNDS_PAGE_SIZE } = {}) {
+  const rounds = (await readRoundsFile(roomId)).reverse();
+  return {
+    roomId,
+    page,
+    limit,
+    total: rounds.length,
+    rounds: rounds.slice((page - 1) * limit, page * limit),
+  };
+}
+
+async function readRoundRecordFromFile(roomId, roundNo) {
+  return (await readRoundsFile(roomId)).find((round) => Number(round.n) === roundNo) || null;
+}
+
+function appendAnyRoundRecord(roomId, data) {
+  if (hasRecordsDb()) return appendRoundRecord(roomId, data);
+  return appendRoundRecordToFile(roomId, data);
+}
+
+function listAnyRoundRecords(roomId, options) {
+  if (hasRecordsDb()) return listRoundRecords(roomId, options);
+  return listRoundRecordsFromFile(roomId, options);
+}
+
+function readAnyRoundRecord(roomId, roundNo) {
+  if (hasRecordsDb()) return readRoundRecord(roomId, roundNo);
+  return readRoundRecordFromFile(roomId, roundNo);
+}
+
+async function appendChatRecord(roomId, entry) {
+  await ensureRecordsDb();
+  await recordsPool.query('INSERT INTO room_chat (room_id, data) VALUES ($1, $2::jsonb)', [roomId, JSON.stringify(entry)]);
+}
+
+// Latest `limit` chat entries, oldest first.
+async function readRecentChat(roomId, limit = CHAT_LOG_LIMIT) {
+  await ensureRecordsDb();
+  const result = await recordsPool.query('SELECT data FROM room_chat WHERE room_id = $1 ORDER BY id DESC LIMIT $2', [
+    roomId,
+    limit,
+  ]);
+  return result.rows.map((row) => row.data).reverse();
+}
+
+const STATS_TREND_POINTS = 200;
+// Stats cover the room's latest STATS_ROUNDS_LIMIT rounds.
+const STATS_ROUNDS_LIMIT = 1000;
+const STAT_SECTIONS = ['head', 'mid', 'tail'];
+
+// wulong / reportOk / reportOnly as stored by buildRoundRecord; rounds stored before
+// those flags existed only have the result note to go on.
+function roundPlayerFlags(p) {
+  if (typeof p.wulong === 'boolean') {
+    return { wulong: p.wulong, reportOk: p.reportOk === true, reportOnly: p.reportOnly === true };
+  }
+  const note = String(p.note || '');
+  return {
+    wulong: note.includes('擺烏龍') && !note.includes('莊家失誤'),
+    reportOk: !note.includes('報到不符'),
+    reportOnly: note.includes('只計報到'),
+  };
+}
+
+// Per-player statistics from stored rounds, oldest first. Keyed by player id; rounds
+// stored before player ids fall back to the name.
+function computePlayerStats(rounds) {
+  const byPlayer = new Map();
+  const statsFor = (key, playerId) => {
+    if (!byPlayer.has(key)) {
+      const sections = {};
+      for (const sec of STAT_SECTIONS) sections[sec] = { played: 0, won: 0, lost: 0 };
+      byPlayer.set(key, {
+        playerId,
+        name: key,
+        rounds: 0,
+        total: 0,
+        sections,
+        wulong: 0,
+        reports: {},
+        reportsInvalid: 0,
+        dealerRounds: 0,
+        dealerNet: 0,
+        biggestWin: null,
+        biggestLoss: null,
+        trend: [],
+      });
+    }
+    return byPlayer.get(key);
+  };
+
+  for (const round of rounds) {
+    for (const p of round.players || []) {
+      const name = String(p?.name || '').trim();
+      if (!name && !p?.playerId) continue;
+      const st = statsFor(p.playerId || name, p.playerId || null);
+      if (name) st.name = name;
+      const total = Number(p.total || 0);
+      const report = String(p.report || 'none');
+      const isDealer = p.id === round.dealerId;
+      const flags = roundPlayerFlags(p);
+
+      st.rounds += 1;
+      st.total += total;
+      if (flags.wulong) st.wulong += 1;
+      if (report !== 'none') {
+        if (flags.reportOk) st.reports[report] = (st.reports[report] || 0) + 1;
+        else st.reportsInvalid += 1;
+      }
+      if (isDealer) {
+        st.dealerRounds += 1;
+        st.dealerNet += total;
+      } else if (!flags.reportOnly) {
+        // 墩 results only mean something for 閒家; the dealer's per is always 0
+        for (const sec of STAT_SECTIONS) {
+          const v = Number(p.per?.[sec] || 0);
+          st.sections[sec].played += 1;
+          if (v > 0) st.sections[sec].won += 1;
+          if (v < 0) st.sections[sec].lost += 1;
+        }
+      }
+      if (st.biggestWin === null || total > st.biggestWin.total) st.biggestWin = { total, n: round.n, at: round.at };
+      if (st.biggestLoss === null || total < st.biggestLoss.total) st.biggestLoss = { total, n: round.n, at: round.at };
+      st.trend.push({ n: round.n, at: round.at, total: st.total });
+    }
+  }
+
+  const players = [...byPlayer.values()].map((st) => ({
+    ...st,
+    wulongRate: st.rounds ? st.wulong / st.rounds : 0,
+    winRate: Object.fromEntries(
+      STAT_SECTIONS.map((sec) => {
+        const x = st.sections[sec];
+        return [sec, x.played ? x.won / x.played : 0];
+      }),
+    ),
+    trend: st.trend.slice(-STATS_TREND_POINTS),
+  }));
+  players.sort((a, b) => b.total - a.total);
+  return { rounds: rounds.length, players };
+}
+
+const SCORE_HISTORY_LIMIT = 20;
+const LEDGER_WRITE_ATTEMPTS = 3;
+
+// Same shape as the scoreHistory entries browsers used to write, plus each seat's player id.
+function buildScoreHistoryEntry(names, round, ids, dealerId, results, playerIds = {}) {
+  const changes = ids
+    .map((id) => ({
+      id,
+      playerId: playerIds[id] || null,
+      name: names[id] || '玩家',
+      delta: Number(results?.[id]?.total || 0),
+    }))
+    .sort((a, b) => b.delta - a.delta || a.name.localeCompare(b.name));
+  return {
+    round,
+    at: new Date().toISOString(),
+    dealerId,
+    dealerName: names[dealerId] || '',
+    changes,
+  };
+}
+
+// One write per revealed round; writes for a room are chained so they land in order.
+// The round goes in as deltas on top of the stored ledger, so a /save or revert that landed
+// since the room last read it is kept, and the live totals are re-read from the result.
+function persistRoomLedger(room, ids, dealerId, results) {
+  const recordRoomId = normalizeRecordRoomId(room.roomId);
+  if (!recordRoomId) return null;
+
+  const names = {};
+  for (const p of roomPlayers(room)) names[p.id] = String(p.name || '').trim();
+  const scores = {};
+  const deltas = {};
+  for (const id of ids) {
+    const playerId = room.seatPlayers[id];
+    if (!playerId) continue;
+    scores[playerId] = Number(room.cumulative[id] || 0);
+    deltas[playerId] = Number(results?.[id]?.total || 0);
+  }
+  const entry = buildScoreHistoryEntry(names, room.round, ids, dealerId, results, room.seatPlayers);
+
+  room.ledgerWrite = (room.ledgerWrite || Promise.resolve())
+    .then(async () => {
+      for (let attempt = 0; attempt < LEDGER_WRITE_ATTEMPTS; attempt += 1) {
+        const current = await rolloverRecordIfNeeded(recordRoomId);
+        const history = Array.isArray(current?.scoreHistory) ? current.scoreHistory : [];
+        const scoresById = { ...(current?.scoresById || {}) };
+        // also true when the period closed while this write waited
+        let changedElsewhere = false;
+        for (const [playerId, delta] of Object.entries(deltas)) {
+          const stored = Number(scoresById[playerId] || 0);
+          if (stored !== scores[playerId] - delta) changedElsewhere = true;
+          scoresById[playerId] = stored + delta;
+        }
+        const saved = await writeAnyRecord(
+          recordRoomId,
+          {
+            ...(current || {}),
+            scoresById,
+            scoreHistory: [entry, ...history].slice(0, SCORE_HISTORY_LIMIT),
+          },
+          { expectedVersion: recordVersion(current), source: 'reveal', clientId: SERVER_HOST_ID },
+        );
+        if (!saved) continue;
+        if (changedElsewhere) applyLedgerToLiveRoom(recordRoomId, await recordWithNames(saved));
+        return;
+      }
+      throw new Error('Version conflict');
+    })
+    .catch((error) => {
+      console.error(`Failed to persist ledger for room ${recordRoomId}:`, error?.message || error);
+    });
+  return room.ledgerWrite;
+}
+
+const rooms = new Map();
+
+function makeId() {
+  return crypto.randomUUID().replace(/-/g, '').slice(0, 10);
+}
+
+function send(ws, payload) {
+  if (ws.readyState !== ws.OPEN) return;
+  ws.send(JSON.stringify(payload));
+}
+
+function cleanRoom(roomId) {
+  const room = rooms.get(roomId);
+  if (!room) return;
+  if (room.clients.size === 0 && room.watchers.size === 0 && !room.hostSocket) {
+    stopArrangeTimer(room);
+    stopNextReadyTimer(room);
+    for (const id of Object.keys(room.seatGraceTimers)) clearSeatGraceTimer(room, id);
+    rooms.delete(roomId);
+  }
+}
+
+function sendJson(res, status, payload, extraHeaders = {}) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    ...extraHeaders,
+  });
+  res.end(JSON.stringify(payload));
+}
+
+function setCorsHeaders(res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Persist-Key, Authorization, If-Match, If-None-Match');
+  res.setHeader('Access-Control-Expose-Headers', 'ETag');
+}
+
+// URL path segment, or null when it holds a malformed `%` escape (decodeURIComponent throws).
+function decodePathSegment(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return null;
+  }
+}
+
+async function readRequestBody(req, limit = 1_000_000) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        reject(new Error('Payload too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+// -------------------- Stickers --------------------
+// sticker/manifest.json lists packs in display order; only files named there are served,
+// and chat/danmaku stickers travel as manifest ids, never as URLs.
+const STICKER_DIR = path.resolve(__dirname, '..', 'sticker');
+const STICKER_ID_RE = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+const STICKER_TYPES = { '.webp': 'image/webp', '.png': 'image/png', '.gif': 'image/gif' };
+
+let stickerCatalog = { byId: new Map(), byFile: new Map(), body: '{"packs":[]}', etag: '""' };
+
+async function loadStickerCatalog() {
+  const raw = JSON.parse(await fs.readFile(path.join(STICKER_DIR, 'manifest.json'), 'utf8'));
+  const byId = new Map();
+  const byFile = new Map();
+  const packs = [];
+  for (const pack of Array.isArray(raw?.packs) ? raw.packs : []) {
+    const packId = String(pack?.id || '').trim();
+    if (!STICKER_ID_RE.test(packId)) continue;
+    const stickers = [];
+    for (const item of Array.isArray(pack.stickers) ? pack.stickers : []) {
+      const id = String(item?.id || '').trim();
+      const file = String(item?.file || '');
+      const type = STICKER_TYPES[path.extname(file).toLowerCase()];
+      if (!STICKER_ID_RE.test(id) || byId.has(id) || !type || path.basename(file) !== file) continue;
+      let data;
+      try {
+        data = await fs.readFile(path.join(STICKER_DIR, file));
+      } catch {
+        console.error(`Sticker ${id}: missing file ${file}`);
+        continue;
+      }
+      const entry = { id, file, type, etag: `"${crypto.createHash('sha256').update(data).digest('hex').slice(0, 16)}"` };
+      byId.set(id, entry);
+      byFile.set(file, entry);
+      stickers.push({ id, name: String(item.name || id), url: `/stickers/${encodeURIComponent(file)}` });
+    }
+    if (stickers.length) packs.push({ id: packId, name: String(pack.name || packId), stickers });
+  }
+  const body = JSON.stringify({ packs });
+  return { byId, byFile, body, etag: `"${sha256Hex(body).slice(0, 16)}"` };
+}
+
+const stickerCatalogReady = loadStickerCatalog()
+  .then((catalog) => {
+    stickerCatalog = catalog;
+  })
+  .catch((error) => {
+    console.error('Failed to load sticker manifest:', error?.message || error);
+  });
+
+function isKnownSticker(id) {
+  return stickerCatalog.byId.has(String(id || ''));
+}
+
+function notModified(req, etag) {
+  return String(req.headers['if-none-match'] || '')
+    .split(',')
+    .some((tag) => tag.trim() === etag);
+}
+
+// -------------------- Avatars --------------------
+// One image per player id, in avatars (Postgres) or DATA_DIR/avatars/<playerId>.json without
+// a DB. Only that player (their secret) or the operator (PERSIST_SECRET) can upload. SERVER
+// crops and scales anything larger than AVATAR_MAX_DIMENSION or AVATAR_MAX_BYTES to a WebP
+// square. A player with no upload, and a seat with no player, fall back to the repo's
+// icon/<name>.png.
+const AVATAR_DIR = path.join(DATA_DIR, 'avatars');
+const ICON_DIR = path.resolve(__dirname, '..', 'icon');
+const AVATAR_MAX_BYTES = 64 * 1024;
+const AVATAR_MAX_DIMENSION = 256;
+const AVATAR_UPLOAD_MAX_BYTES = 4 * 1024 * 1024;
+const AVATAR_MAX_INPUT_PIXELS = 4096 * 4096;
+const AVATAR_NAME_MAX_LENGTH = 40;
+const AVATAR_MIME_BY_FORMAT = { png: 'image/png', jpeg: 'image/jpeg', webp: 'image/webp' };
+
+function normalizeAvatarName(value) {
+  const name = String(value || '').trim();
+  return name && name.length <= AVATAR_NAME_MAX_LENGTH ? name : '';
+}
+
+// Decoded upload -> { mime, data } small enough to store, or null for data sharp cannot read.
+async function prepareAvatarImage(input) {
+  let meta;
+  try {
+    meta = await sharp(input, { limitInputPixels: AVATAR_MAX_INPUT_PIXELS }).metadata();
+  } catch {
+    return null;
+  }
+  const mime = AVATAR_MIME_BY_FORMAT[meta.format];
+  if (!meta.width || !meta.height) return null;
+  const fits = meta.width <= AVATAR_MAX_DIMENSION && meta.height <= AVATAR_MAX_DIMENSION;
+  if (mime && fits && input.length <= AVATAR_MAX_BYTES) return { mime, data: input };
+  const side = Math.min(AVATAR_MAX_DIMENSION, meta.width, meta.height);
+  try {
+    const data = await sharp(input, { limitInputPixels: AVATAR_MAX_INPUT_PIXELS })
+      .rotate()
+      .resize(side, side, { fit: 'cover' })
+      .webp({ quality: 85 })
+      .toBuffer();
+    return { mime: 'image/webp', data };
+  } catch {
+    return null;
+  }
+}
+
+function avatarFilePath(playerId) {
+  return path.join(AVATAR_DIR, `${playerId}.json`);
+}
+
+async function readAvatar(playerId) {
+  if (hasRecordsDb()) {
+    await ensureRecordsDb();
+    const result = await recordsPool.query(
+      'SELECT player_id, mime, data, etag, updated_at FROM avatars WHERE player_id = $1 LIMIT 1',
+      [playerId],
+    );
+    const row = result.rows[0];
+    if (!row) return null;
+    return { playerId: row.player_id, mime: row.mime, data: row.data, etag: row.etag };
+  }
+  let raw;
+  try {
+    raw = JSON.parse(await fs.readFile(avatarFilePath(playerId), 'utf8'));
+  } catch (error) {
+    if (error?.code === 'ENOENT') return null;
+    throw error;
+  }
+  return { playerId: raw.playerId, mime: raw.mime, data: Buffer.from(raw.data, 'base64'), etag: raw.etag };
+}
+
+async function writeAvatar(avatar) {
+  if (hasRecordsDb()) {
+    await ensureRecordsDb();
+    await recordsPool.query(
+      `
+        INSERT INTO avatars (player_id, mime, data, etag, updated_at)
+        VALUES ($1, $2, $3, $4, NOW())
+        ON CONFLICT (player_id) DO UPDATE
+        SET mime = EXCLUDED.mime, data = EXCLUDED.data, etag = EXCLUDED.etag, updated_at = NOW()
+      `,
+      [avatar.playerId, avatar.mime, avatar.data, avatar.etag],
+    );
+    return;
+  }
+  const filePath = avatarFilePath(avatar.playerId);
+  const payload = {
+    playerId: avatar.playerId,
+    mime: avatar.mime,
+    data: avatar.data.toString('base64'),
+    etag: avatar.etag,
+    updatedAt: new Date().toISOString(),
+  };
+  await fs.mkdir(AVATAR_DIR, { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify(payload), 'utf8');
+  await fs.rename(tmpPath, filePath);
+}
+
+function iconFilePath(name) {
+  return path.basename(name) === name ? path.join(ICON_DIR, `${name}.png`) : null;
+}
+
+async function readIcon(name) {
+  const iconPath = iconFilePath(name);
+  if (!iconPath) return null;
+  try {
+    const data = await fs.readFile(iconPath);
+    return { mime: 'image/png', data, etag: `"${sha256Hex(data).slice(0, 16)}"` };
+  } catch {
+    return null;
+  }
+}
+
+// GET /avatars/<key>: a player id serves that player's upload, else the icon of their
+// current name; anything else is a name and only has the bundled icon.
+async function readAvatarOrIcon(key) {
+  if (!PLAYER_ID_RE.test(key)) return readIcon(key);
+  const stored = await readAvatar(key);
+  if (stored) return stored;
+  const player = await readPlayer(key);
+  return player ? readIcon(player.name) : null;
+}
+
+// { image: data URL, secret } -> stored avatar, or { status, error }.
+async function uploadAvatar(req, playerId, body) {
+  const player = await readPlayer(playerId);
+  if (!player) return { status: 404, error: 'Player not found' };
+  if (!isAdminAuthorized(req) && !(await authenticatePlayer(playerId, body?.secret))) {
+    return { status: 403, error: 'Wrong player secret' };
+  }
+  const match = String(body?.image || '').match(/^data:image\/[a-z+.-]+;base64,([A-Za-z0-9+/=]+)$/);
+  if (!match) return { status: 400, error: 'Image must be a base64 data URL' };
+  const image = await prepareAvatarImage(Buffer.from(match[1], 'base64'));
+  if (!image) return { status: 400, error: 'Unrecognised image data' };
+  const avatar = { playerId, ...image, etag: `"${sha256Hex(image.data).slice(0, 16)}"` };
+  await writeAvatar(avatar);
+  return { avatar };
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  const { pathname } = url;
+
+  if (pathname === '/score') {
+    setCorsHeaders(res);
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+    if (req.method !== 'POST') {
+      sendJson(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+
+    let bodyText;
+    try {
+      bodyText = await readRequestBody(req);
+    } catch (error) {
+      sendJson(res, 413, { error: error.message });
+      return;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(bodyText);
+    } catch {
+      sendJson(res, 400, { error: 'Bad JSON' });
+      return;
+    }
+
+    const submissions = payload?.submissions;
+    if (!submissions || typeof submissions !== 'object') {
+      sendJson(res, 400, { error: 'Invalid submissions' });
+      return;
+    }
+
+    try {
+      const { dealerId, results } = computeRoundResult({
+        submissions,
+        dealerOverride: payload?.dealerOverride || null,
+        rules: payload?.rules || null,
+      });
+      sendJson(res, 200, { dealerId, results });
+    } catch (error) {
+      sendJson(res, 400, { error: error.message || 'Failed to compute score' });
+    }
+    return;
+  }
+
+  if (pathname === '/solve') {
+    setCorsHeaders(res);
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+    if (req.method !== 'POST') {
+      sendJson(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+
+    let bodyText;
+    try {
+      bodyText = await readRequestBody(req, 10_000);
+    } catch (error) {
+      sendJson(res, 413, { error: error.message });
+      return;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(bodyText);
+    } catch {
+      sendJson(res, 400, { error: 'Bad JSON' });
+      return;
+    }
+
+    const cards9 = Array.isArray(payload?.cards9) ? payload.cards9.map(normalizeCard) : [];
+    if (cards9.length !== 9 || cards9.some((c) => !c) || new Set(cards9.map(cardKey)).size !== 9) {
+      sendJson(res, 400, { error: 'Invalid cards9' });
+      return;
+    }
+    if (solveRateLimited(req)) {
+      sendJson(res, 429, { error: 'Too many solve requests' });
+      return;
+    }
+
+    sendJson(res, 200, solveArrangements(cards9, { rules: normalizeRules(payload?.rules) }));
+    return;
+  }
+
+  if (pathname === '/stickers' || pathname.startsWith('/stickers/')) {
+    setCorsHeaders(res);
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+    if (req.method !== 'GET') {
+      sendJson(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+    await stickerCatalogReady;
+
+    if (pathname === '/stickers' || pathname === '/stickers/') {
+      const headers = { ETag: stickerCatalog.etag, 'Cache-Control': 'no-cache' };
+      if (notModified(req, stickerCatalog.etag)) {
+        res.writeHead(304, headers);
+        res.end();
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json', ...headers });
+      res.end(stickerCatalog.body);
+      return;
+    }
+
+    let file = '';
+    try {
+      file = decodeURIComponent(pathname.slice('/stickers/'.length));
+    } catch {
+      file = '';
+    }
+    const entry = stickerCatalog.byFile.get(file);
+    if (!entry) {
+      sendJson(res, 404, { error: 'Sticker not found' });
+      return;
+    }
+    const headers = { ETag: entry.etag, 'Cache-Control': 'public, max-age=86400' };
+    if (notModified(req, entry.etag)) {
+      res.writeHead(304, headers);
+      res.end();
+      return;
+    }
+    try {
+      const data = await fs.readFile(path.join(STICKER_DIR, entry.file));
+      res.writeHead(200, { 'Content-Type': entry.type, ...headers });
+      res.end(data);
+    } catch (error) {
+      sendJson(res, 500, { error: error.message || 'Failed to read sticker' });
+    }
+    return;
+  }
+
+  const playersMatch = pathname.match(/^\/players(?:\/([^/]+)(\/login)?)?\/?$/);
+  if (playersMatch) {
+    setCorsHeaders(res);
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+    const playerId = playersMatch[1] === undefined ? null : decodePathSegment(playersMatch[1]) || '';
+    if (playerId !== null && !PLAYER_ID_RE.test(playerId)) {
+      sendJson(res, 400, { error: 'Invalid player id' });
+      return;
+    }
+
+    if (req.method === 'GET' && playerId && !playersMatch[2]) {
+      try {
+        const player = await readPlayer(playerId);
+        if (!player) sendJson(res, 404, { error: 'Player not found' });
+        else sendJson(res, 200, publicPlayer(player));
+      } catch (error) {
+        sendJson(res, 500, { error: error.message || 'Failed to read player' });
+      }
+      return;
+    }
+
+    if (req.method !== 'POST') {
+      sendJson(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+
+    let bodyText;
+    try {
+      bodyText = await readRequestBody(req, 10_000);
+    } catch (error) {
+      sendJson(res, 413, { error: error.message });
+      return;
+    }
+
+    let body;
+    try {
+      body = JSON.parse(bodyText || '{}');
+    } catch {
+      sendJson(res, 400, { error: 'Bad JSON' });
+      return;
+    }
+
+    const pin = body?.pin === undefined || body?.pin === null || body?.pin === '' ? null : String(body.pin);
+    if (pin !== null && !PLAYER_PIN_RE.test(pin)) {
+      sendJson(res, 400, { error: 'PIN must be 4-8 digits' });
+      return;
+    }
+
+    try {
+      // POST /players: new player (or take over the unclaimed one of that name)
+      if (!playerId) {
+        sendJson(res, 200, await registerPlayer(body?.name, pin));
+        return;
+      }
+      // POST /players/:id/login { pin }: sign in on another device
+      if (playersMatch[2]) {
+        if (pin === null) {
+          sendJson(res, 400, { error: 'PIN required' });
+          return;
+        }
+        const result = await loginPlayerWithPin(playerId, pin);
+        if (result.error) sendJson(res, result.status, { error: result.error });
+        else sendJson(res, 200, result.body);
+        return;
+      }
+      // POST /players/:id { secret, name?, pin? }: update the signed-in player
+      const player = await authenticatePlayer(playerId, body?.secret);
+      if (!player) {
+        sendJson(res, 403, { error: 'Wrong player secret' });
+        return;
+      }
+      if (pin !== null) player.pinHash = hashPin(pin);
+      else if (body?.pin === '') player.pinHash = '';
+      const name = normalizePlayerName(body?.name) || player.name;
+      sendJson(res, 200, publicPlayer(name === player.name ? await savePlayer(player) : await renamePlayer(player, name)));
+    } catch (error) {
+      sendJson(res, 500, { error: error.message || 'Failed to save player' });
+    }
+    return;
+  }
+
+  const avatarMatch = pathname.match(/^\/avatars\/([^/]+)\/?$/);
+  if (avatarMatch) {
+    setCorsHeaders(res);
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+    const key = normalizeAvatarName(decodePathSegment(avatarMatch[1]));
+    if (!key) {
+      sendJson(res, 400, { error: 'Invalid name' });
+      return;
+    }
 
-function makeId() {
-  return crypto.randomUUID().replace(/-/g, '').slice(0, 10);
-}
+    if (req.method === 'GET') {
+      try {
+        const avatar = await readAvatarOrIcon(key);
+        if (!avatar) {
+          sendJson(res, 404, { error: 'Avatar not found' });
+          return;
+        }
+        // revalidate every time: an upload replaces the image under the same URL
+        const headers = { ETag: avatar.etag, 'Cache-Control': 'no-cache' };
+        if (notModified(req, avatar.etag)) {
+          res.writeHead(304, headers);
+          res.end();
+          return;
+        }
+        res.writeHead(200, { 'Content-Type': avatar.mime, ...headers });
+        res.end(avatar.data);
+      } catch (error) {
+        sendJson(res, 500, { error: error.message || 'Failed to read avatar' });
+      }
+      return;
+    }
 
-function send(ws, payload) {
-  if (ws.readyState !== ws.OPEN) return;
-  ws.send(JSON.stringify(payload));
-}
+    if (req.method !== 'POST') {
+      sendJson(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+    if (!PLAYER_ID_RE.test(key)) {
+      sendJson(res, 400, { error: 'Invalid player id' });
+      return;
+    }
 
-function cleanRoom(roomId) {
-  const room = rooms.get(roomId);
-  if (!room) return;
-  if (room.clients.size === 0) {
-    rooms.delete(roomId);
+    let bodyText;
+    try {
+      // base64 plus the JSON around it
+      bodyText = await readRequestBody(req, Math.ceil((AVATAR_UPLOAD_MAX_BYTES * 4) / 3) + 1024);
+    } catch (error) {
+      sendJson(res, 413, { error: error.message });
+      return;
+    }
+
+    let body;
+    try {
+      body = JSON.parse(bodyText);
+    } catch {
+      sendJson(res, 400, { error: 'Bad JSON' });
+      return;
+    }
+
+    try {
+      const result = await uploadAvatar(req, key, body);
+      if (result.error) {
+        sendJson(res, result.status, { error: result.error });
+        return;
+      }
+      sendJson(res, 200, { playerId: key, etag: result.avatar.etag }, { ETag: result.avatar.etag });
+    } catch (error) {
+      sendJson(res, 500, { error: error.message || 'Failed to save avatar' });
+    }
+    return;
   }
-}
 
-function sendJson(res, status, payload, extraHeaders = {}) {
-  res.writeHead(status, {
-    'Content-Type': 'application/json',
-    ...extraHeaders,
-  });
-  res.end(JSON.stringify(payload));
-}
+  const auditMatch = pathname.match(/^\/records\/([^/]+)\/audit(?:\/(\d+)\/revert)?\/?$/);
+  if (auditMatch) {
+    setCorsHeaders(res);
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+    const isRevert = auditMatch[2] !== undefined;
+    if (req.method !== (isRevert ? 'POST' : 'GET')) {
+      sendJson(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+    if (!hasRecordsDb()) {
+      sendJson(res, 503, { error: 'Records DB is not configured' });
+      return;
+    }
 
-function setCorsHeaders(res) {
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Persist-Key');
-}
+    const roomId = normalizeRecordRoomId(decodePathSegment(auditMatch[1]));
+    if (!roomId) {
+      sendJson(res, 400, { error: 'Invalid room id' });
+      return;
+    }
+    // listing takes the same credentials as record writes (the log carries every score
+    // change); a revert rewrites the ledger and is operator-only
+    if (isRevert ? !isAdminAuthorized(req) : !isRecordWriteAuthorized(req, roomId)) {
+      sendJson(res, 401, { error: 'Unauthorized' });
+      return;
+    }
 
-async function readRequestBody(req, limit = 1_000_000) {
-  return new Promise((resolve, reject) => {
-    let size = 0;
-    const chunks = [];
-    req.on('data', (chunk) => {
-      size += chunk.length;
-      if (size > limit) {
-        reject(new Error('Payload too large'));
-        req.destroy();
+    try {
+      if (isRevert) {
+        let payload = {};
+        try {
+          payload = JSON.parse((await readRequestBody(req, 10_000)) || '{}');
+        } catch {
+          payload = {};
+        }
+        const clientId = payload?.clientId ? `admin:${payload.clientId}` : 'admin';
+        const { status, body } = await revertToAuditEntry(roomId, Number(auditMatch[2]), clientId);
+        sendJson(res, status, body);
         return;
       }
-      chunks.push(chunk);
-    });
-    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
-    req.on('error', reject);
-  });
-}
 
-const server = http.createServer(async (req, res) => {
-  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
-  const { pathname } = url;
+      const page = Math.max(1, Number.parseInt(url.searchParams.get('page') || '1', 10) || 1);
+      const limitRaw = Number.parseInt(url.searchParams.get('limit') || String(AUDIT_PAGE_SIZE), 10);
+      const limit = Math.min(MAX_AUDIT_PAGE_SIZE, Math.max(1, limitRaw || AUDIT_PAGE_SIZE));
+      sendJson(res, 200, await listAuditEntries(roomId, { page, limit }));
+    } catch (error) {
+      sendJson(res, 500, { error: error.message || 'Failed to read audit log' });
+    }
+    return;
+  }
 
-  if (pathname === '/score') {
+  const periodsMatch = pathname.match(/^\/records\/([^/]+)\/periods(?:\/([^/]+))?\/?$/);
+  if (periodsMatch) {
     setCorsHeaders(res);
     if (req.method === 'OPTIONS') {
       res.writeHead(204);
       res.end();
       return;
     }
-    if (req.method !== 'POST') {
+    if (req.method !== 'GET') {
       sendJson(res, 405, { error: 'Method not allowed' });
       return;
     }
 
-    let bodyText;
+    const roomId = normalizeRecordRoomId(decodePathSegment(periodsMatch[1]));
+    if (!roomId) {
+      sendJson(res, 400, { error: 'Invalid room id' });
+      return;
+    }
+
     try {
-      bodyText = await readRequestBody(req);
+      if (periodsMatch[2] !== undefined) {
+        const periodKey = decodePathSegment(periodsMatch[2]) || '';
+        if (!PERIOD_KEY_RE.test(periodKey)) {
+          sendJson(res, 400, { error: 'Invalid period key' });
+          return;
+        }
+        const archived = await readArchivedPeriod(roomId, periodKey);
+        if (!archived) {
+          sendJson(res, 404, { error: 'Period not found' });
+          return;
+        }
+        sendJson(res, 200, await recordWithNames(archived));
+        return;
+      }
+      const current = await rolloverRecordIfNeeded(roomId);
+      sendJson(res, 200, { roomId, current: current?.periodKey || periodKeyFor(roomId), periods: await listArchivedPeriods(roomId) });
     } catch (error) {
-      sendJson(res, 413, { error: error.message });
+      sendJson(res, 500, { error: error.message || 'Failed to read periods' });
+    }
+    return;
+  }
+
+  const statsMatch = pathname.match(/^\/records\/([^/]+)\/stats\/?$/);
+  if (statsMatch) {
+    setCorsHeaders(res);
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+    if (req.method !== 'GET') {
+      sendJson(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+    const roomId = normalizeRoundsRoomId(decodePathSegment(statsMatch[1]));
+    if (!roomId) {
+      sendJson(res, 400, { error: 'Invalid room id' });
       return;
     }
 
-    let payload;
     try {
-      payload = JSON.parse(bodyText);
-    } catch {
-      sendJson(res, 400, { error: 'Bad JSON' });
-      return;
+      const latest = await listAnyRoundRecords(roomId, { limit: STATS_ROUNDS_LIMIT });
+      const stats = { ...computePlayerStats(latest.rounds.reverse()), totalRounds: latest.total };
+      const names = await readPlayerNames(stats.players.map((p) => p.playerId).filter(Boolean));
+      for (const p of stats.players) if (names[p.playerId]) p.name = names[p.playerId];
+      sendJson(res, 200, { roomId, ...stats });
+    } catch (error) {
+      sendJson(res, 500, { error: error.message || 'Failed to compute stats' });
     }
+    return;
+  }
 
-    const submissions = payload?.submissions;
-    if (!submissions || typeof submissions !== 'object') {
-      sendJson(res, 400, { error: 'Invalid submissions' });
+  const roundsMatch = pathname.match(/^\/records\/([^/]+)\/rounds(?:\/(\d+))?\/?$/);
+  if (roundsMatch) {
+    setCorsHeaders(res);
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+    if (req.method !== 'GET') {
+      sendJson(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+    const roomId = normalizeRoundsRoomId(decodePathSegment(roundsMatch[1]));
+    if (!roomId) {
+      sendJson(res, 400, { error: 'Invalid room id' });
       return;
     }
 
     try {
-      const { dealerId, results } = computeRoundResult({
-        submissions,
-        dealerOverride: payload?.dealerOverride || null,
-      });
-      sendJson(res, 200, { dealerId, results });
+      if (roundsMatch[2]) {
+        const round = await readAnyRoundRecord(roomId, Number(roundsMatch[2]));
+        if (!round) {
+          sendJson(res, 404, { error: 'Round not found' });
+          return;
+        }
+        sendJson(res, 200, round);
+        return;
+      }
+
+      const page = Math.max(1, Number.parseInt(url.searchParams.get('page') || '1', 10) || 1);
+      const limitRaw = Number.parseInt(url.searchParams.get('limit') || String(ROUNDS_PAGE_SIZE), 10);
+      const limit = Math.min(MAX_ROUNDS_PAGE_SIZE, Math.max(1, limitRaw || ROUNDS_PAGE_SIZE));
+      sendJson(res, 200, await listAnyRoundRecords(roomId, { page, limit }));
     } catch (error) {
-      sendJson(res, 400, { error: error.message || 'Failed to compute score' });
+      sendJson(res, 500, { error: error.message || 'Failed to read rounds' });
     }
     return;
   }
@@ -229,12 +2073,12 @@ const server = http.createServer(async (req, res) => {
 
     if (req.method === 'GET') {
       try {
-        const record = await readRecord(roomId);
+        const record = await rolloverRecordIfNeeded(roomId);
         if (!record) {
           sendJson(res, 404, { error: 'Record not found' });
           return;
         }
-        sendJson(res, 200, record);
+        sendJson(res, 200, await recordWithNames(record), { ETag: `"${recordVersion(record)}"` });
       } catch (error) {
         sendJson(res, 500, { error: error.message || 'Failed to read record' });
       }
@@ -242,6 +2086,11 @@ const server = http.createServer(async (req, res) => {
     }
 
     if (req.method === 'POST') {
+      if (!isRecordWriteAuthorized(req, roomId)) {
+        sendJson(res, 401, { error: 'Unauthorized' });
+        return;
+      }
+
       let bodyText;
       try {
         bodyText = await readRequestBody(req);
@@ -263,8 +2112,12 @@ const server = http.createServer(async (req, res) => {
       }
 
       try {
-        const saved = await writeRecord(roomId, payload.record);
-        sendJson(res, 200, { ok: true, ...saved });
+        const baseVersion = parseRecordVersion(req.headers['if-match'] ?? payload.baseVersion);
+        const { status, body } = await saveClientRecord(roomId, payload.record, baseVersion, {
+          source: payload.source,
+          clientId: payload.clientId,
+        });
+        sendJson(res, status, body);
       } catch (error) {
         sendJson(res, 500, { error: error.message || 'Failed to write record' });
       }
@@ -317,9 +2170,18 @@ const server = http.createServer(async (req, res) => {
       return;
     }
 
+    if (!isRecordWriteAuthorized(req, roomId)) {
+      sendJson(res, 401, { error: 'Unauthorized' });
+      return;
+    }
+
     try {
-      const saved = await writeRecord(roomId, payload.record);
-      sendJson(res, 200, { ok: true, ...saved });
+      const baseVersion = parseRecordVersion(req.headers['if-match'] ?? payload.baseVersion);
+      const { status, body } = await saveClientRecord(roomId, payload.record, baseVersion, {
+        source: payload.source,
+        clientId: payload.clientId,
+      });
+      sendJson(res, status, body);
     } catch (error) {
       sendJson(res, 500, { error: error.message || 'Failed to save record' });
     }
@@ -341,10 +2203,41 @@ function makeDeck54() {
   return deck;
 }
 
-function shuffle(arr) {
+// -------------------- Provably fair deal --------------------
+// A round's deck is a Fisher-Yates shuffle of makeDeck54() driven by a random seed: the
+// byte stream is sha256(`${seed}:0`), sha256(`${seed}:1`), ... read as big-endian uint32s,
+// with rejection sampling so every swap is uniform. `start` commits to sha256(seed) and
+// `reveal` discloses the seed and deal order, so a client can rebuild every hand.
+
+function newDealSeed() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function sha256Hex(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+function seededShuffle(arr, seed) {
   const out = arr.slice();
+  let block = 0;
+  let bytes = Buffer.alloc(0);
+  let pos = 0;
+  const nextUint32 = () => {
+    if (pos + 4 > bytes.length) {
+      bytes = crypto.createHash('sha256').update(`${seed}:${block}`).digest();
+      block += 1;
+      pos = 0;
+    }
+    const v = bytes.readUInt32BE(pos);
+    pos += 4;
+    return v;
+  };
   for (let i = out.length - 1; i > 0; i -= 1) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const bound = i + 1;
+    const limit = Math.floor(0x100000000 / bound) * bound;
+    let v = nextUint32();
+    while (v >= limit) v = nextUint32();
+    const j = v % bound;
     [out[i], out[j]] = [out[j], out[i]];
   }
   return out;
@@ -388,29 +2281,91 @@ function validateSubmission(cards9, sub) {
   return { ok: true, data: { dealerCard, head, mid, tail } };
 }
 
+function clampSeats(value, fallback) {
+  const n = Number.parseInt(value, 10);
+  if (!Number.isFinite(n)) return fallback;
+  return Math.min(MAX_SEATS, Math.max(2, n));
+}
+
+function normalizeRoomSettings(raw, base = {}) {
+  const out = {
+    roundsTotal: Number(base.roundsTotal || 0),
+    bbMode: !!base.bbMode,
+    rules: normalizeRules(base.rules),
+    maxSeats: clampSeats(base.maxSeats, DEFAULT_MAX_SEATS),
+  };
+  if (!raw || typeof raw !== 'object') return out;
+  if (raw.roundsTotal !== undefined) {
+    let v = Number(raw.roundsTotal);
+    if (!Number.isFinite(v) || v <= 0) v = 0;
+    else v = Math.max(5, Math.round(v / 5) * 5);
+    out.roundsTotal = Math.min(MAX_ROUNDS_TOTAL, v);
+  }
+  if (raw.bbMode !== undefined) out.bbMode = !!raw.bbMode;
+  if (raw.rules !== undefined) out.rules = normalizeRules(raw.rules, out.rules);
+  if (raw.maxSeats !== undefined) out.maxSeats = clampSeats(raw.maxSeats, out.maxSeats);
+  return out;
+}
+
 function getRoom(roomId) {
   const id = String(roomId || '').trim().toUpperCase();
   if (!id) return null;
   if (!rooms.has(id)) {
     rooms.set(id, {
       roomId: id,
+      // 'server': SERVER runs the game; 'player': a browser host does and SERVER only forwards
+      mode: 'server',
+      hostSocket: null,
+      hostId: null,
+      hostName: '',
+      hostToken: '',
       clients: new Map(),
+      // spectators: get every broadcast but no seat, cards or ready state
+      watchers: new Map(),
+      // set by whoever creates the room; the admin (first seated player) can lock it
+      password: '',
+      locked: false,
+      adminId: null,
+      adminToken: '',
       seatOrder: [],
       disconnectedSeatNames: {},
       cumulative: {},
-      cumulativeByName: {},
+      // ledger scores by player id, and the player id behind each seat
+      cumulativeByPlayer: {},
+      // DAY/MON: period of the ledger cumulativeByPlayer was loaded from
+      ledgerPeriodKey: null,
+      seatPlayers: {},
       recordLoaded: false,
-      settings: { roundsTotal: 0, bbMode: false },
+      ledgerWrite: null,
+      settings: normalizeRoomSettings(null),
       round: 0,
       started: false,
+      matchOver: false,
+      arrangeDeadline: 0,
+      arrangeTimer: null,
+      autoSubmitted: {},
+      resumeTokens: new Map(),
+      seatTokens: {},
+      seatGraceTimers: {},
+      lastReveal: null,
       dealt: {},
       submissions: {},
       revealed: false,
       revealInProgress: false,
       nextReadyMap: {},
+      nextReadyTimer: null,
       preStartReadyMap: {},
+      // seats skipping rounds without leaving: not dealt, not waited on
+      sitOut: {},
+      // bounded chat backlog for `welcome`, and the admin's mutes (see muteKeys)
+      chatLog: [],
+      muted: {},
       dealerPick: null,
       dealerOverride: null,
+      // current round's shuffle seed, its published hash and who was dealt in which order
+      dealSeed: '',
+      dealSeedHash: '',
+      dealOrder: [],
     });
   }
   return rooms.get(id);
@@ -422,28 +2377,79 @@ async function ensureRoomRecordLoaded(room) {
   room.recordLoaded = true;
   if (!recordRoomId) return;
 
-  try {
-    const record = await readAnyRecord(recordRoomId);
-    const scoresByName = record?.scoresByName;
-    if (!scoresByName || typeof scoresByName !== 'object') return;
+  if (hasRecordsDb()) {
+    try {
+      // anything said while the query ran stays after the stored backlog
+      const stored = await readRecentChat(recordRoomId);
+      room.chatLog = stored.concat(room.chatLog).slice(-CHAT_LOG_LIMIT);
+    } catch (error) {
+      console.error(`Failed to load chat log for room ${recordRoomId}:`, error?.message || error);
+    }
+  }
 
-    room.cumulativeByName = { ...room.cumulativeByName };
-    for (const [name, value] of Object.entries(scoresByName)) {
-      const key = String(name || '').trim();
-      if (!key) continue;
-      room.cumulativeByName[key] = Number(value || 0);
+  try {
+    const record = await rolloverRecordIfNeeded(recordRoomId);
+    room.ledgerPeriodKey = record?.periodKey || null;
+    const scoresById = record?.scoresById;
+    if (!scoresById || typeof scoresById !== 'object') return;
+
+    room.cumulativeByPlayer = { ...room.cumulativeByPlayer };
+    for (const [playerId, value] of Object.entries(scoresById)) {
+      room.cumulativeByPlayer[playerId] = Number(value || 0);
     }
   } catch (error) {
     console.error(`Failed to load persisted record for room ${recordRoomId}:`, error?.message || error);
   }
 }
 
+// Ledger player for a seat: the signed-in player when playerId/playerSecret check out
+// (taking the seat's name as its display name), otherwise the unclaimed player of the
+// name. A failing player store leaves the seat out of the ledger rather than the room.
+async function resolveSeatPlayer(msg, name) {
+  try {
+    const player = await authenticatePlayer(msg.playerId, msg.playerSecret);
+    if (player) {
+      await renamePlayer(player, name);
+      return { playerId: player.id, verified: true };
+    }
+    return { playerId: await resolvePlayerIdForName(name), verified: false };
+  } catch (error) {
+    console.error('Failed to resolve player for seat:', error?.message || error);
+    return { playerId: null, verified: false };
+  }
+}
+
+// A signed-in seat renames its player; any other seat moves to the unclaimed player of
+// the new name, carrying the seat's running score along as name-keyed ledgers did.
+async function renameSeatPlayer(room, seatId, seat, name) {
+  const playerId = room.seatPlayers[seatId];
+  try {
+    if (seat.playerVerified && playerId) {
+      const player = await readPlayer(playerId);
+      if (player) await renamePlayer(player, name);
+      return;
+    }
+    const nextId = await resolvePlayerIdForName(name);
+    room.seatPlayers[seatId] = nextId;
+    if (room.cumulative[seatId] !== undefined) room.cumulativeByPlayer[nextId] = Number(room.cumulative[seatId] || 0);
+  } catch (error) {
+    console.error('Failed to rename seat player:', error?.message || error);
+  }
+}
+
 function roomPlayers(room) {
   const out = [];
   for (const id of room.seatOrder) {
     const p = room.clients.get(id);
     if (p) {
-      out.push({ id, name: p.name || '玩家', connected: true });
+      out.push({
+        id,
+        name: p.name || '玩家',
+        connected: true,
+        sitOut: Boolean(room.sitOut[id]),
+        muted: isMuted(room, id),
+        avatarId: p.avatarId || null,
+      });
       continue;
     }
     const offlineName = String(room.disconnectedSeatNames?.[id] || '').trim();
@@ -462,21 +2468,132 @@ function pruneDisconnectedSeats(room) {
       keep.push(id);
       continue;
     }
-    delete room.dealt[id];
-    delete room.submissions[id];
-    delete room.nextReadyMap[id];
-    delete room.preStartReadyMap[id];
-    delete room.cumulative[id];
-    delete room.disconnectedSeatNames[id];
+    delete room.dealt[id];
+    delete room.submissions[id];
+    delete room.nextReadyMap[id];
+    delete room.preStartReadyMap[id];
+    delete room.sitOut[id];
+    delete room.cumulative[id];
+    delete room.seatPlayers[id];
+    delete room.disconnectedSeatNames[id];
+  }
+  room.seatOrder = keep;
+}
+
+function relayToRoom(room, payload, exceptId = null) {
+  for (const [id, p] of room.clients.entries()) {
+    if (id === exceptId) continue;
+    send(p.socket, { t: 'relay', fromId: SERVER_HOST_ID, payload });
+  }
+  for (const w of room.watchers.values()) {
+    send(w.socket, { t: 'relay', fromId: SERVER_HOST_ID, payload });
+  }
+}
+
+// -------------------- Player-hosted rooms --------------------
+// create-room with a hostToken makes the sender the host: its browser runs the game and
+// SERVER only forwards relay frames. The room outlives the host socket so the same token
+// can take it back after a drop; it is dropped once neither host nor clients remain.
+
+const HOST_TOKEN_MAX_LENGTH = 128;
+
+function normalizeHostToken(raw) {
+  const token = typeof raw === 'string' ? raw.trim() : '';
+  return token && token.length <= HOST_TOKEN_MAX_LENGTH ? token : '';
+}
+
+function hostPlayerRoom(ws, roomId, msg) {
+  const token = normalizeHostToken(msg.hostToken);
+  // DAY/MON feed the shared ledger, so SERVER always hosts them
+  if (normalizeRecordRoomId(roomId)) {
+    send(ws, { t: 'error', message: '此房間由 SERVER 主持，請直接加入' });
+    return;
+  }
+  const existing = rooms.get(roomId);
+  if (existing && existing.mode !== 'player') {
+    send(ws, { t: 'error', message: '此房間由 SERVER 主持，請直接加入' });
+    return;
+  }
+  if (existing && !safeEqual(existing.hostToken, token)) {
+    send(ws, { t: 'error', message: '此房間已有房主' });
+    return;
+  }
+
+  const room = getRoom(roomId);
+  const reconnect = Boolean(existing);
+  const stale = room.hostSocket;
+  room.mode = 'player';
+  room.hostToken = token;
+  room.hostSocket = ws;
+  room.hostId = ws.id;
+  room.hostName = String(msg.name || '房主').trim() || '房主';
+  ws.roomId = roomId;
+  // the old socket's close handler sees it is no longer the host and stays quiet
+  if (stale && stale !== ws) {
+    try {
+      stale.close();
+    } catch {}
+  }
+
+  if (!reconnect) room.password = creatorPassword(roomId, msg);
+
+  send(ws, { t: 'hosted', roomId, id: ws.id, hostId: ws.id });
+  if (!reconnect) return;
+  // host first, so it has a connection for each client before their join frames arrive
+  for (const id of room.clients.keys()) send(ws, { t: 'client-joined', id });
+  for (const p of room.clients.values()) {
+    send(p.socket, { t: 'host-reconnected', hostId: room.hostId, hostName: room.hostName });
+  }
+}
+
+// Same entry checks as SERVER rooms. The host's browser has no watcher seats, and the host
+// takes one of the MAX_SEATS itself.
+function joinPlayerRoom(ws, room, msg) {
+  let entryError = roomEntryError(room, msg);
+  if (!entryError && msg.spectate) entryError = '此房間由玩家主持，無法觀戰';
+  if (!entryError && room.clients.size >= MAX_SEATS - 1) entryError = `房間已滿（最多 ${MAX_SEATS} 人）`;
+  if (entryError) {
+    send(ws, { t: 'error', message: entryError, code: 'join-denied' });
+    return;
+  }
+  ws.roomId = room.roomId;
+  room.clients.set(ws.id, { socket: ws, name: String(msg.name || '玩家').trim() || '玩家' });
+  // hostId null tells the client to wait for host-reconnected
+  send(ws, { t: 'joined', roomId: room.roomId, id: ws.id, hostId: room.hostId || null });
+  if (room.hostSocket) send(room.hostSocket, { t: 'client-joined', id: ws.id });
+}
+
+function forwardPlayerRelay(room, ws, msg) {
+  const payload = msg.payload;
+  // the only payloads the relay reads here: stickers must be manifest ids
+  if ((payload?.t === 'chat' || payload?.t === 'danmaku') && payload.kind === 'sticker' && !isKnownSticker(payload.sticker)) {
+    return;
+  }
+  const frame = { t: 'relay', fromId: ws.id, payload: msg.payload ?? null };
+  if (ws === room.hostSocket) {
+    if (msg.to === '*') {
+      for (const p of room.clients.values()) send(p.socket, frame);
+      return;
+    }
+    const target = room.clients.get(String(msg.to || ''));
+    if (target) send(target.socket, frame);
+    return;
   }
-  room.seatOrder = keep;
+  // clients only ever talk to the host
+  if (room.clients.get(ws.id)?.socket !== ws) return;
+  if (room.hostSocket) send(room.hostSocket, frame);
 }
 
-function relayToRoom(room, payload, exceptId = null) {
-  for (const [id, p] of room.clients.entries()) {
-    if (id === exceptId) continue;
-    send(p.socket, { t: 'relay', fromId: SERVER_HOST_ID, payload });
+function leavePlayerRoom(room, ws) {
+  if (room.hostSocket === ws) {
+    room.hostSocket = null;
+    room.hostId = null;
+    for (const p of room.clients.values()) send(p.socket, { t: 'host-left' });
+  } else if (room.clients.get(ws.id)?.socket === ws) {
+    room.clients.delete(ws.id);
+    if (room.hostSocket) send(room.hostSocket, { t: 'client-left', id: ws.id });
   }
+  cleanRoom(room.roomId);
 }
 
 function currentRoundPlayerIds(room) {
@@ -488,10 +2605,12 @@ function currentRoundPlayerIds(room) {
   return room.seatOrder.filter((id) => room.clients.has(id) && room.dealt[id]);
 }
 
-function buildAutoSubmission(cards9) {
+function buildAutoSubmission(cards9, rules) {
   if (!Array.isArray(cards9) || cards9.length !== 9) return null;
   const cards = cards9.map((card) => normalizeCard(card)).filter(Boolean);
   if (cards.length !== 9) return null;
+  const best = findAutoArrangement(cards, rules);
+  if (best) return best;
   return {
     dealerCard: cards[0],
     head: cards.slice(1, 3),
@@ -501,13 +2620,413 @@ function buildAutoSubmission(cards9) {
   };
 }
 
+// One token per seat for the room's lifetime; join-room with it rebinds a new socket to the seat.
+function issueResumeToken(room, seatId) {
+  let token = room.seatTokens[seatId];
+  if (!token) {
+    token = crypto.randomBytes(16).toString('hex');
+    room.seatTokens[seatId] = token;
+    room.resumeTokens.set(token, seatId);
+  }
+  return token;
+}
+
+function clearSeatGraceTimer(room, seatId) {
+  if (!room.seatGraceTimers[seatId]) return;
+  clearTimeout(room.seatGraceTimers[seatId]);
+  delete room.seatGraceTimers[seatId];
+}
+
+function startSeatGraceTimer(room, seatId) {
+  clearSeatGraceTimer(room, seatId);
+  room.seatGraceTimers[seatId] = setTimeout(() => {
+    delete room.seatGraceTimers[seatId];
+    if (room.clients.has(seatId) || room.revealed || room.submissions[seatId] || !room.dealt[seatId]) return;
+    const autoSub = buildAutoSubmission(room.dealt[seatId].all9, room.settings.rules);
+    if (!autoSub) return;
+    room.submissions[seatId] = autoSub;
+    room.autoSubmitted[seatId] = true;
+    const ready = {};
+    for (const id of currentRoundPlayerIds(room)) ready[id] = !!room.submissions[id];
+    relayToRoom(room, { t: 'ready', ready });
+    startDealerPickOrReveal(room);
+  }, RESUME_GRACE_MS);
+}
+
 function broadcastPlayers(room) {
-  relayToRoom(room, { t: 'players', list: roomPlayers(room), hostId: SERVER_HOST_ID, hostName: 'SERVER', seatOrder: room.seatOrder.slice() });
+  ensureRoomAdmin(room);
+  relayToRoom(room, {
+    t: 'players',
+    list: roomPlayers(room),
+    hostId: SERVER_HOST_ID,
+    hostName: 'SERVER',
+    adminId: room.adminId,
+    seatOrder: room.seatOrder.slice(),
+    watchers: room.watchers.size,
+  });
+}
+
+function welcomePayload(room, extra = {}) {
+  return {
+    t: 'welcome',
+    hostId: SERVER_HOST_ID,
+    hostName: 'SERVER',
+    seatOrder: room.seatOrder.slice(),
+    settings: room.settings,
+    cumulative: room.cumulative,
+    // DAY/MON ledgers are written by SERVER after each reveal; clients must not POST /save
+    serverPersist: Boolean(normalizeRecordRoomId(room.roomId)),
+    chatLog: room.chatLog.slice(),
+    ...extra,
+  };
+}
+
+// join-room with `spectate`: no seat, so nothing that walks seatOrder or room.clients
+// (dealing, ready maps, auto-submit) ever sees this socket.
+function joinAsWatcher(ws, room, msg) {
+  ws.roomId = room.roomId;
+  room.watchers.set(ws.id, { socket: ws, name: String(msg.name || '觀眾').trim() || '觀眾' });
+  const relay = (payload) => send(ws, { t: 'relay', fromId: SERVER_HOST_ID, payload });
+
+  send(ws, { t: 'joined', roomId: room.roomId, id: ws.id, hostId: SERVER_HOST_ID, spectator: true });
+  relay(welcomePayload(room, { spectator: true }));
+  relay(roomAccessPayload(room));
+  broadcastPlayers(room);
+
+  if (!room.started) {
+    const ready = {};
+    for (const id of room.seatOrder) ready[id] = !!room.preStartReadyMap[id];
+    relay({ t: 'ready', ready });
+    return;
+  }
+  relay({ t: 'start', round: room.round, settings: room.settings, cumulative: room.cumulative, seedHash: room.dealSeedHash });
+  if (!room.revealed) {
+    const ready = {};
+    for (const id of currentRoundPlayerIds(room)) ready[id] = !!room.submissions[id];
+    relay({ t: 'ready', ready });
+    if (room.dealerPick) relay({ t: 'dealerPickWait', round: room.round, controllerId: room.dealerPick.controllerId });
+    return;
+  }
+  if (room.lastReveal) relay({ ...room.lastReveal, resume: true });
+  relay({ t: 'nextReady', ready: room.nextReadyMap, round: room.round });
+}
+
+function leaveAsWatcher(room, ws) {
+  if (room.watchers.get(ws.id)?.socket !== ws) return;
+  room.watchers.delete(ws.id);
+  broadcastPlayers(room);
+  cleanRoom(room.roomId);
+}
+
+function normalizeRoomPassword(raw) {
+  return typeof raw === 'string' ? raw.trim().slice(0, ROOM_PASSWORD_MAX_LENGTH) : '';
+}
+
+// Password a room's creator may set: none for DAY/MON, which everyone shares.
+function creatorPassword(roomId, msg) {
+  return normalizeRecordRoomId(roomId) ? '' : normalizeRoomPassword(msg.password);
+}
+
+// Why a new socket may not enter; '' when it may. Resumed seats never get here.
+function roomEntryError(room, msg) {
+  if (room.locked) return '房間已鎖定，無法加入';
+  if (room.password && !safeEqual(room.password, normalizeRoomPassword(msg.password))) {
+    return msg.password ? '房間密碼錯誤' : '此房間需要密碼';
+  }
+  return '';
+}
+
+function roomAccessPayload(room) {
+  return { t: 'roomAccess', locked: room.locked, hasPassword: Boolean(room.password), adminId: room.adminId };
+}
+
+// -------------------- Room admin (SERVER rooms) --------------------
+// The first joiner is the admin and gets an admin token in `joined`; presenting it on a
+// later join-room takes the role back. Otherwise the role passes down seatOrder when the
+// admin's seat goes away. The admin can kick, reorder seats, change settings, force the
+// next round and restart the match.
+
+function ensureRoomAdmin(room) {
+  if (room.adminId && room.seatOrder.includes(room.adminId)) return;
+  room.adminId = room.seatOrder.find((id) => room.clients.has(id)) || null;
+}
+
+// Returns the admin token to hand out when this join makes the seat admin.
+function claimRoomAdmin(room, seatId, token) {
+  if (!room.adminToken) {
+    room.adminToken = crypto.randomBytes(16).toString('hex');
+    room.adminId = seatId;
+    return room.adminToken;
+  }
+  if (typeof token === 'string' && safeEqual(room.adminToken, token)) room.adminId = seatId;
+  return null;
+}
+
+function relayError(ws, message) {
+  send(ws, { t: 'relay', fromId: SERVER_HOST_ID, payload: { t: 'error', message } });
+}
+
+function kickSeat(room, targetId) {
+  const target = room.clients.get(targetId);
+  if (target) {
+    send(target.socket, { t: 'relay', fromId: SERVER_HOST_ID, payload: { t: 'kicked' } });
+    // detach first so the close handler does not treat this as a drop
+    target.socket.roomId = null;
+    try {
+      target.socket.close();
+    } catch {}
+  }
+  const playerId = room.seatPlayers[targetId];
+  if (playerId && room.cumulative[targetId] !== undefined) {
+    room.cumulativeByPlayer[playerId] = Number(room.cumulative[targetId] || 0);
+  }
+  clearSeatGraceTimer(room, targetId);
+  // no resuming back into a seat the admin removed
+  const token = room.seatTokens[targetId];
+  if (token) room.resumeTokens.delete(token);
+  delete room.seatTokens[targetId];
+  room.clients.delete(targetId);
+  room.seatOrder = room.seatOrder.filter((id) => id !== targetId);
+  delete room.disconnectedSeatNames[targetId];
+  delete room.dealt[targetId];
+  delete room.submissions[targetId];
+  delete room.autoSubmitted[targetId];
+  delete room.nextReadyMap[targetId];
+  delete room.preStartReadyMap[targetId];
+  delete room.sitOut[targetId];
+  delete room.cumulative[targetId];
+  delete room.seatPlayers[targetId];
+  if (room.dealerPick?.controllerId === targetId) room.dealerPick = null;
+
+  broadcastPlayers(room);
+  if (!room.started || room.revealed) {
+    relayReadyState(room);
+  } else {
+    const ready = {};
+    for (const id of currentRoundPlayerIds(room)) ready[id] = !!room.submissions[id];
+    relayToRoom(room, { t: 'ready', ready });
+    if (!room.dealerPick) startDealerPickOrReveal(room);
+  }
+  maybeStartNextRound(room);
+}
+
+// Pre-start ready map, or next-round ready map after a reveal.
+function relayReadyState(room) {
+  if (room.started && room.revealed) {
+    relayToRoom(room, { t: 'nextReady', ready: room.nextReadyMap, round: room.round });
+    return;
+  }
+  const ready = {};
+  for (const id of room.seatOrder) ready[id] = !!room.preStartReadyMap[id];
+  relayToRoom(room, { t: 'ready', ready });
+}
+
+// Everyone still seated counts as ready: starts the match, or the round after a reveal.
+function forceNextRound(room) {
+  if (!room.started) {
+    for (const id of room.seatOrder) if (room.clients.has(id)) room.preStartReadyMap[id] = true;
+  } else if (room.revealed) {
+    for (const id of Object.keys(room.nextReadyMap)) room.nextReadyMap[id] = true;
+  } else {
+    return false;
+  }
+  relayReadyState(room);
+  maybeStartNextRound(room);
+  return true;
+}
+
+// Back to the waiting room with the same seats; every seat readies up again.
+function restartMatch(room) {
+  stopArrangeTimer(room);
+  stopNextReadyTimer(room);
+  for (const id of Object.keys(room.seatGraceTimers)) clearSeatGraceTimer(room, id);
+  pruneDisconnectedSeats(room);
+  resetMatch(room);
+  room.started = false;
+  room.revealed = false;
+  room.revealInProgress = false;
+  room.lastReveal = null;
+  room.nextReadyMap = {};
+  room.preStartReadyMap = {};
+  for (const id of room.seatOrder) room.preStartReadyMap[id] = false;
+  relayToRoom(room, { t: 'restart', cumulative: room.cumulative });
+  broadcastPlayers(room);
+  relayReadyState(room);
+}
+
+// Same sliding window as chatRateLimited(), per client address plus one shared by everyone.
+// The forwarded address can be spoofed; the shared window is what bounds the CPU spent.
+function solveRateLimited(req, now = Date.now()) {
+  const client = String(req.headers['x-forwarded-for'] || '').split(',')[0].trim() || req.socket.remoteAddress || '';
+  for (const [key, times] of solveRequests) {
+    const recent = times.filter((at) => now - at < SOLVE_RATE_WINDOW_MS);
+    if (recent.length) solveRequests.set(key, recent);
+    else solveRequests.delete(key);
+  }
+  const all = solveRequests.get('*') || [];
+  const mine = solveRequests.get(client) || [];
+  if (all.length >= SOLVE_GLOBAL_RATE_LIMIT || mine.length >= SOLVE_RATE_LIMIT) return true;
+  solveRequests.set('*', [...all, now]);
+  solveRequests.set(client, [...mine, now]);
+  return false;
+}
+
+// Mutes outlive the socket: they are keyed by the seat id, which a resume token keeps,
+// and for DAY/MON seats by the ledger player, which a rename or a fresh join keeps. Never
+// by name, which the seat can change and a newcomer can share. They last as long as the room.
+function muteKeys(room, id) {
+  const keys = [`seat:${id}`];
+  if (room.seatPlayers[id]) keys.push(`player:${room.seatPlayers[id]}`);
+  return keys;
+}
+
+function isMuted(room, id) {
+  return muteKeys(room, id).some((key) => room.muted[key]);
+}
+
+// Sliding window of recent send times, kept on the socket.
+function chatRateLimited(ws, now = Date.now()) {
+  const recent = (ws.chatSentAt || []).filter((at) => now - at < CHAT_RATE_WINDOW_MS);
+  ws.chatSentAt = recent;
+  if (recent.length >= CHAT_RATE_LIMIT) return true;
+  recent.push(now);
+  return false;
+}
+
+// chat/danmaku/poop: rebuilt from known fields only, so clients cannot smuggle extra keys
+// to everyone. Chat lines also land in the room's backlog (and room_chat for DAY/MON).
+function relayChat(room, ws, payload, fromName) {
+  if (isMuted(room, ws.id)) {
+    relayError(ws, '你已被管理員禁言');
+    return;
+  }
+  let out;
+  if (payload.t === 'poop') {
+    const targetId = String(payload.targetId || '');
+    if (!targetId) return;
+    out = { t: 'poop', targetId };
+  } else {
+    const kind = payload.kind === 'sticker' ? 'sticker' : 'text';
+    const text = kind === 'text' ? String(payload.text || '').trim() : '';
+    const sticker = kind === 'sticker' ? String(payload.sticker || '') : '';
+    if (kind === 'text' && !text) return;
+    if (kind === 'sticker' && !isKnownSticker(sticker)) {
+      relayError(ws, '找不到此貼圖');
+      return;
+    }
+    if (text.length > CHAT_TEXT_MAX_LENGTH) {
+      relayError(ws, `訊息過長（上限 ${CHAT_TEXT_MAX_LENGTH} 字）`);
+      return;
+    }
+    out = { t: payload.t, kind, text, sticker };
+  }
+  if (chatRateLimited(ws)) {
+    relayError(ws, '發言太頻繁，請稍後再試');
+    return;
+  }
+  out = { ...out, fromId: ws.id, from: fromName, _broadcast: true };
+  relayToRoom(room, out);
+  if (out.t !== 'chat') return;
+
+  const entry = {
+    kind: out.kind,
+    text: out.text,
+    sticker: out.sticker,
+    fromId: out.fromId,
+    from: out.from,
+    at: new Date().toISOString(),
+  };
+  room.chatLog.push(entry);
+  if (room.chatLog.length > CHAT_LOG_LIMIT) room.chatLog.splice(0, room.chatLog.length - CHAT_LOG_LIMIT);
+  const recordRoomId = normalizeRecordRoomId(room.roomId);
+  if (recordRoomId && hasRecordsDb()) {
+    appendChatRecord(recordRoomId, entry).catch((error) => {
+      console.error(`Failed to store chat for room ${recordRoomId}:`, error?.message || error);
+    });
+  }
+}
+
+const ADMIN_PAYLOADS = new Set(['kick', 'seatOrder', 'settings', 'forceNextRound', 'lockRoom', 'mute']);
+
+// Admin-only relay payloads; false when the payload is not one of them. restartRequest from
+// anyone else keeps its old meaning (ready for a rematch once the match is over).
+function handleAdminPayload(room, ws, payload) {
+  const adminRestart = payload.t === 'restartRequest' && ws.id === room.adminId;
+  if (!ADMIN_PAYLOADS.has(payload.t) && !adminRestart) return false;
+  if (ws.id !== room.adminId) {
+    relayError(ws, '只有房間管理員可以執行此操作');
+    return true;
+  }
+
+  if (payload.t === 'kick') {
+    const targetId = String(payload.targetId || '');
+    if (!targetId || targetId === ws.id || !room.seatOrder.includes(targetId)) return true;
+    kickSeat(room, targetId);
+    return true;
+  }
+
+  if (payload.t === 'seatOrder') {
+    if (room.started && !room.revealed) {
+      relayError(ws, '排牌中無法調整座位');
+      return true;
+    }
+    const next = Array.isArray(payload.seatOrder) ? payload.seatOrder.map(String) : [];
+    const same = next.length === room.seatOrder.length
+      && new Set(next).size === next.length
+      && next.every((id) => room.seatOrder.includes(id));
+    if (!same) {
+      relayError(ws, '座位順序無效');
+      return true;
+    }
+    room.seatOrder = next;
+    broadcastPlayers(room);
+    relayToRoom(room, { t: 'seatOrder', seatOrder: room.seatOrder.slice() });
+    return true;
+  }
+
+  if (payload.t === 'settings') {
+    if (room.started && !room.matchOver) {
+      relayError(ws, '遊戲進行中，無法更改設定');
+      return true;
+    }
+    room.settings = normalizeRoomSettings(payload.settings, room.settings);
+    relayToRoom(room, { t: 'settings', settings: room.settings });
+    return true;
+  }
+
+  if (payload.t === 'forceNextRound') {
+    if (!forceNextRound(room)) relayError(ws, '排牌中無法強制開局');
+    return true;
+  }
+
+  if (payload.t === 'lockRoom') {
+    room.locked = !!payload.locked;
+    relayToRoom(room, roomAccessPayload(room));
+    return true;
+  }
+
+  if (payload.t === 'mute') {
+    const targetId = String(payload.targetId || '');
+    const target = room.clients.get(targetId) || room.watchers.get(targetId);
+    if (!target || targetId === ws.id) return true;
+    const muted = !!payload.muted;
+    for (const key of muteKeys(room, targetId)) {
+      if (muted) room.muted[key] = true;
+      else delete room.muted[key];
+    }
+    send(target.socket, { t: 'relay', fromId: SERVER_HOST_ID, payload: { t: 'muted', muted } });
+    broadcastPlayers(room);
+    return true;
+  }
+
+  restartMatch(room);
+  return true;
 }
 
 function dealRound(room) {
-  const ids = room.seatOrder.filter((id) => room.clients.has(id));
+  const ids = room.seatOrder.filter((id) => room.clients.has(id) && !room.sitOut[id]).slice(0, MAX_SEATS);
   if (ids.length === 0) return;
+  stopNextReadyTimer(room);
   room.round += 1;
   room.started = true;
   room.revealed = false;
@@ -517,30 +3036,96 @@ function dealRound(room) {
   room.nextReadyMap = {};
   room.dealerPick = null;
   room.dealerOverride = null;
+  room.autoSubmitted = {};
 
   for (const id of ids) room.preStartReadyMap[id] = false;
 
-  const deck = shuffle(makeDeck54());
+  room.dealSeed = newDealSeed();
+  room.dealSeedHash = sha256Hex(room.dealSeed);
+  room.dealOrder = ids.slice();
+  const deck = seededShuffle(makeDeck54(), room.dealSeed);
   for (const id of ids) {
     room.dealt[id] = { all9: deck.splice(0, 9) };
   }
 
-  relayToRoom(room, { t: 'start', round: room.round, settings: room.settings, cumulative: room.cumulative });
+  startArrangeTimer(room);
+
+  relayToRoom(room, {
+    t: 'start',
+    round: room.round,
+    settings: room.settings,
+    cumulative: room.cumulative,
+    seedHash: room.dealSeedHash,
+  });
   const ready = {};
   for (const id of ids) ready[id] = false;
+  const serverNow = Date.now();
   for (const id of ids) {
     const p = room.clients.get(id);
     if (!p) continue;
     send(p.socket, {
       t: 'relay',
       fromId: SERVER_HOST_ID,
-      payload: { t: 'deal', round: room.round, cards9: room.dealt[id].all9, ready },
+      payload: {
+        t: 'deal',
+        round: room.round,
+        cards9: room.dealt[id].all9,
+        ready,
+        deadline: room.arrangeDeadline || null,
+        serverNow,
+      },
     });
   }
 }
 
+// BB mode has no time limit; otherwise SERVER owns the deadline for this round.
+function startArrangeTimer(room) {
+  stopArrangeTimer(room);
+  if (room.settings?.bbMode) return;
+  const round = room.round;
+  room.arrangeDeadline = Date.now() + ARRANGE_LIMIT_MS;
+  room.arrangeTimer = setTimeout(() => {
+    room.arrangeTimer = null;
+    if (room.round !== round) return;
+    autoSubmitLaggards(room);
+  }, ARRANGE_LIMIT_MS + ARRANGE_GRACE_MS);
+}
+
+function stopArrangeTimer(room) {
+  if (room.arrangeTimer) clearTimeout(room.arrangeTimer);
+  room.arrangeTimer = null;
+  room.arrangeDeadline = 0;
+}
+
+function autoSubmitLaggards(room) {
+  if (!room.started || room.revealed || room.revealInProgress) return;
+  const ids = currentRoundPlayerIds(room);
+  let changed = false;
+  for (const id of ids) {
+    if (room.submissions[id]) continue;
+    const autoSub = buildAutoSubmission(room.dealt[id]?.all9, room.settings.rules);
+    if (!autoSub) continue;
+    room.submissions[id] = autoSub;
+    room.autoSubmitted[id] = true;
+    changed = true;
+    const p = room.clients.get(id);
+    if (p) {
+      send(p.socket, {
+        t: 'relay',
+        fromId: SERVER_HOST_ID,
+        payload: { t: 'autoSubmitted', round: room.round, submission: autoSub },
+      });
+    }
+  }
+  if (!changed) return;
+  const ready = {};
+  for (const id of ids) ready[id] = !!room.submissions[id];
+  relayToRoom(room, { t: 'ready', ready });
+  startDealerPickOrReveal(room);
+}
+
 function maybeStartNextRound(room) {
-  const ids = room.seatOrder.filter((id) => room.clients.has(id));
+  const ids = room.seatOrder.filter((id) => room.clients.has(id) && !room.sitOut[id]);
   if (ids.length === 0) return;
   if (!room.started) {
     const allPreReady = ids.length > 0 && ids.every((id) => !!room.preStartReadyMap[id]);
@@ -554,10 +3139,65 @@ function maybeStartNextRound(room) {
   if (!allReady) return;
   pruneDisconnectedSeats(room);
   broadcastPlayers(room);
+  if (room.matchOver) {
+    resetMatch(room);
+    relayToRoom(room, { t: 'restart', cumulative: room.cumulative });
+  }
   relayToRoom(room, { t: 'nextRound', round: room.round + 1 });
   dealRound(room);
 }
 
+// A finished match waits for a rematch vote instead; nobody gets sat out for that.
+function startNextReadyTimer(room) {
+  stopNextReadyTimer(room);
+  if (isMatchComplete(room)) return;
+  const round = room.round;
+  room.nextReadyTimer = setTimeout(() => {
+    room.nextReadyTimer = null;
+    if (!room.revealed || room.round !== round) return;
+    sitOutIdleSeats(room);
+  }, NEXT_READY_TIMEOUT_MS);
+}
+
+function stopNextReadyTimer(room) {
+  if (room.nextReadyTimer) clearTimeout(room.nextReadyTimer);
+  room.nextReadyTimer = null;
+}
+
+// Seats still not ready at the deadline count as ready; connected ones also sit out from
+// the next round (dropped ones are pruned by maybeStartNextRound anyway).
+function sitOutIdleSeats(room) {
+  const idle = Object.keys(room.nextReadyMap).filter((id) => !room.nextReadyMap[id]);
+  if (!idle.length) return;
+  for (const id of idle) {
+    room.nextReadyMap[id] = true;
+    const p = room.clients.get(id);
+    if (!p) continue;
+    room.sitOut[id] = true;
+    send(p.socket, { t: 'relay', fromId: SERVER_HOST_ID, payload: { t: 'sitOut', sitOut: true, reason: 'ready-timeout' } });
+  }
+  broadcastPlayers(room);
+  relayToRoom(room, { t: 'nextReady', ready: room.nextReadyMap, round: room.round });
+  maybeStartNextRound(room);
+}
+
+function isMatchComplete(room) {
+  const roundsTotal = Number(room.settings?.roundsTotal || 0);
+  return roundsTotal > 0 && room.round >= roundsTotal;
+}
+
+// Start a fresh match on the same seats. DAY/MON rooms keep their ledger.
+function resetMatch(room) {
+  room.round = 0;
+  room.matchOver = false;
+  room.dealt = {};
+  room.submissions = {};
+  room.dealerPick = null;
+  room.dealerOverride = null;
+  room.autoSubmitted = {};
+  if (!normalizeRecordRoomId(room.roomId)) room.cumulative = {};
+}
+
 
 function findDealerPickController(submissions, ids) {
   const targetIds = Array.isArray(ids) ? ids.slice() : Object.keys(submissions || {});
@@ -622,7 +3262,7 @@ function resolveReveal(room, dealerOverride = null) {
 
   let scoreData;
   try {
-    scoreData = computeRoundResult({ submissions: subs, dealerOverride });
+    scoreData = computeRoundResult({ submissions: subs, dealerOverride, rules: room.settings.rules });
   } catch (error) {
     relayToRoom(room, { t: 'error', message: error.message || '結算失敗' });
     room.revealInProgress = false;
@@ -630,25 +3270,32 @@ function resolveReveal(room, dealerOverride = null) {
   }
 
   const dealerId = scoreData.dealerId;
+  // The periodic check may not have closed the period yet: start the new one before
+  // adding this round, so it counts there and the old totals stay in the archive.
+  const recordRoomId = normalizeRecordRoomId(room.roomId);
+  if (recordRoomId && room.ledgerPeriodKey && room.ledgerPeriodKey !== periodKeyFor(recordRoomId)) {
+    startRoomPeriod(room, periodKeyFor(recordRoomId));
+  }
   for (const id of ids) {
-    const playerName = String(room.clients.get(id)?.name || '').trim();
+    const playerId = room.seatPlayers[id];
     const baseline =
       room.cumulative[id] !== undefined
         ? Number(room.cumulative[id] || 0)
-        : Number(playerName ? room.cumulativeByName[playerName] || 0 : 0);
+        : Number(playerId ? room.cumulativeByPlayer[playerId] || 0 : 0);
     const roundTotal = Number(scoreData.results?.[id]?.total || 0);
     room.cumulative[id] = baseline + roundTotal;
-    if (playerName) room.cumulativeByName[playerName] = room.cumulative[id];
+    if (playerId) room.cumulativeByPlayer[playerId] = room.cumulative[id];
   }
 
   room.revealed = true;
+  stopArrangeTimer(room);
   room.dealerPick = null;
   room.dealerOverride = null;
   room.revealInProgress = false;
   room.nextReadyMap = {};
   for (const id of ids) room.nextReadyMap[id] = false;
 
-  relayToRoom(room, {
+  room.lastReveal = {
     t: 'reveal',
     round: room.round,
     dealerId,
@@ -656,9 +3303,66 @@ function resolveReveal(room, dealerOverride = null) {
     cumulative: room.cumulative,
     submissions: subs,
     players: roomPlayers(room),
-  });
+    seed: room.dealSeed,
+    seedHash: room.dealSeedHash,
+    dealOrder: room.dealOrder,
+  };
+  relayToRoom(room, room.lastReveal);
 
   relayToRoom(room, { t: 'nextReady', ready: room.nextReadyMap, round: room.round });
+  startNextReadyTimer(room);
+
+  persistRoomLedger(room, ids, dealerId, scoreData.results);
+
+  appendAnyRoundRecord(room.roomId, buildRoundRecord(room, ids, dealerId, scoreData.results)).catch((error) => {
+    console.error(`Failed to save round for room ${room.roomId}:`, error?.message || error);
+  });
+
+  if (isMatchComplete(room)) {
+    room.matchOver = true;
+    relayToRoom(room, {
+      t: 'gameOver',
+      roomId: room.roomId,
+      round: room.round,
+      players: roomPlayers(room),
+      cumulative: room.cumulative,
+    });
+  }
+}
+
+// One revealed round with every player's hand, for the 紀錄 tab.
+function buildRoundRecord(room, ids, dealerId, results) {
+  const names = {};
+  for (const p of roomPlayers(room)) names[p.id] = p.name;
+  return {
+    round: room.round,
+    dealerId,
+    seed: room.dealSeed,
+    seedHash: room.dealSeedHash,
+    dealOrder: room.dealOrder,
+    players: ids.map((id) => {
+      const sub = room.submissions[id] || {};
+      const r = results?.[id] || {};
+      return {
+        id,
+        playerId: room.seatPlayers[id] || null,
+        name: names[id] || '玩家',
+        dealerCard: sub.dealerCard || null,
+        head: sub.head || [],
+        mid: sub.mid || [],
+        tail: sub.tail || [],
+        report: sub.report || 'none',
+        total: Number(r.total || 0),
+        per: r.per || { head: 0, mid: 0, tail: 0 },
+        note: r.note || '',
+        wulong: Boolean(r.wulong),
+        reportOk: typeof r.reportOk === 'boolean' ? r.reportOk : null,
+        reportOnly: Boolean(r.reportOnly),
+        evalNames: r.evalNames || {},
+        cumulative: Number(room.cumulative[id] || 0),
+      };
+    }),
+  };
 }
 
 const wss = new WebSocketServer({ server });
@@ -679,8 +3383,11 @@ const heartbeatInterval = setInterval(() => {
   }
 }, HEARTBEAT_INTERVAL_MS);
 
+const periodCheckInterval = setInterval(checkPeriodRollovers, PERIOD_CHECK_INTERVAL_MS);
+
 wss.on('close', () => {
   clearInterval(heartbeatInterval);
+  clearInterval(periodCheckInterval);
 });
 
 wss.on('connection', (ws) => {
@@ -707,31 +3414,100 @@ wss.on('connection', (ws) => {
         send(ws, { t: 'error', message: 'Room id required.' });
         return;
       }
+      if (msg.t === 'create-room' && normalizeHostToken(msg.hostToken)) {
+        hostPlayerRoom(ws, roomId, msg);
+        return;
+      }
+      if (rooms.get(roomId)?.mode === 'player') {
+        joinPlayerRoom(ws, rooms.get(roomId), msg);
+        return;
+      }
       const room = getRoom(roomId);
       await ensureRoomRecordLoaded(room);
-      ws.roomId = roomId;
       const playerName = String(msg.name || '玩家').trim() || '玩家';
-      room.clients.set(ws.id, { socket: ws, name: playerName });
+      const resumeId = typeof msg.resumeToken === 'string' ? room.resumeTokens.get(msg.resumeToken) || null : null;
+      if (!resumeId && room.clients.size === 0 && room.watchers.size === 0 && !room.started) {
+        // whoever creates the room sets its password; DAY/MON are shared and never get one
+        room.password = creatorPassword(roomId, msg);
+      } else if (!resumeId) {
+        const entryError = roomEntryError(room, msg);
+        if (entryError) {
+          send(ws, { t: 'error', message: entryError, code: 'join-denied' });
+          return;
+        }
+      }
+      if (msg.spectate) {
+        joinAsWatcher(ws, room, msg);
+        return;
+      }
+      if (msg.settings && room.clients.size === 0 && !room.started) {
+        room.settings = normalizeRoomSettings(msg.settings, room.settings);
+      }
+      const seatFull = () => !room.seatOrder.includes(resumeId || ws.id) && room.seatOrder.length >= room.settings.maxSeats;
+      let seatPlayer = null;
+      let avatarId = null;
+      // Only DAY/MON seats feed a ledger. Resolved once the join is accepted: a signed-in
+      // seat renames its player and an unknown name creates one. Elsewhere a signed-in
+      // player is only checked, so the seat can show their avatar.
+      if (!seatFull() && normalizeRecordRoomId(roomId)) {
+        seatPlayer = await resolveSeatPlayer(msg, playerName);
+        avatarId = seatPlayer.verified ? seatPlayer.playerId : null;
+        if (ws.readyState !== ws.OPEN) return;
+      } else if (!seatFull() && msg.playerId) {
+        avatarId = (await authenticatePlayer(msg.playerId, msg.playerSecret).catch(() => null))?.id || null;
+        if (ws.readyState !== ws.OPEN) return;
+      }
+      if (seatFull()) {
+        // full (possibly filled while the player store was queried): watch instead of
+        // taking a seat that could not be dealt nine cards
+        joinAsWatcher(ws, room, msg);
+        send(ws, {
+          t: 'relay',
+          fromId: SERVER_HOST_ID,
+          payload: { t: 'error', message: `房間已滿（${room.settings.maxSeats} 人），已改為觀戰` },
+        });
+        return;
+      }
+      if (resumeId) {
+        const stale = room.clients.get(resumeId);
+        // the old socket may not have noticed it is dead yet; its close handler skips superseded sockets
+        if (stale && stale.socket !== ws) {
+          try {
+            stale.socket.close();
+          } catch {}
+        }
+        ws.id = resumeId;
+        clearSeatGraceTimer(room, resumeId);
+      }
+      ws.roomId = roomId;
+      room.clients.set(ws.id, {
+        socket: ws,
+        name: playerName,
+        playerVerified: Boolean(seatPlayer?.verified),
+        avatarId,
+      });
       delete room.disconnectedSeatNames[ws.id];
       if (!room.seatOrder.includes(ws.id)) room.seatOrder.push(ws.id);
       room.preStartReadyMap[ws.id] = false;
-      if (room.cumulative[ws.id] === undefined && room.cumulativeByName[playerName] !== undefined) {
-        room.cumulative[ws.id] = Number(room.cumulativeByName[playerName] || 0);
+      if (seatPlayer?.playerId) room.seatPlayers[ws.id] = seatPlayer.playerId;
+      const seatPlayerId = room.seatPlayers[ws.id];
+      if (room.cumulative[ws.id] === undefined && seatPlayerId && room.cumulativeByPlayer[seatPlayerId] !== undefined) {
+        room.cumulative[ws.id] = Number(room.cumulativeByPlayer[seatPlayerId] || 0);
       }
 
-      send(ws, { t: 'joined', roomId, id: ws.id, hostId: SERVER_HOST_ID });
+      const adminToken = claimRoomAdmin(room, ws.id, msg.adminToken);
+
       send(ws, {
-        t: 'relay',
-        fromId: SERVER_HOST_ID,
-        payload: {
-          t: 'welcome',
-          hostId: SERVER_HOST_ID,
-          hostName: 'SERVER',
-          seatOrder: room.seatOrder.slice(),
-          settings: room.settings,
-          cumulative: room.cumulative,
-        },
+        t: 'joined',
+        roomId,
+        id: ws.id,
+        hostId: SERVER_HOST_ID,
+        resumeToken: issueResumeToken(room, ws.id),
+        resumed: Boolean(resumeId),
+        ...(adminToken ? { adminToken } : {}),
       });
+      send(ws, { t: 'relay', fromId: SERVER_HOST_ID, payload: welcomePayload(room) });
+      send(ws, { t: 'relay', fromId: SERVER_HOST_ID, payload: roomAccessPayload(room) });
 
       broadcastPlayers(room);
 
@@ -744,11 +3520,37 @@ wss.on('connection', (ws) => {
       if (room.started && !room.revealed && room.dealt[ws.id]) {
         const ready = {};
         for (const id of currentRoundPlayerIds(room)) ready[id] = !!room.submissions[id];
-        send(ws, { t: 'relay', fromId: SERVER_HOST_ID, payload: { t: 'deal', round: room.round, cards9: room.dealt[ws.id].all9, ready, resume: true } });
+        send(ws, {
+          t: 'relay',
+          fromId: SERVER_HOST_ID,
+          payload: {
+            t: 'deal',
+            round: room.round,
+            cards9: room.dealt[ws.id].all9,
+            ready,
+            resume: true,
+            deadline: room.arrangeDeadline || null,
+            serverNow: Date.now(),
+            submission: room.submissions[ws.id] || null,
+            autoSubmitted: Boolean(room.autoSubmitted[ws.id]),
+          },
+        });
+        if (room.dealerPick && room.dealerPick.controllerId !== ws.id) {
+          send(ws, {
+            t: 'relay',
+            fromId: SERVER_HOST_ID,
+            payload: { t: 'dealerPickWait', round: room.round, controllerId: room.dealerPick.controllerId },
+          });
+        }
       } else if (room.started && !room.revealed) {
         send(ws, { t: 'relay', fromId: SERVER_HOST_ID, payload: { t: 'waitNextRound', round: room.round } });
       }
-      if (room.revealed) {
+      if (room.revealed && room.lastReveal?.results?.[ws.id]) {
+        // resumed into the reveal of a round this seat played
+        if (room.nextReadyMap[ws.id] === undefined) room.nextReadyMap[ws.id] = false;
+        send(ws, { t: 'relay', fromId: SERVER_HOST_ID, payload: { ...room.lastReveal, resume: true } });
+        relayToRoom(room, { t: 'nextReady', ready: room.nextReadyMap, round: room.round });
+      } else if (room.revealed) {
         send(ws, { t: 'relay', fromId: SERVER_HOST_ID, payload: { t: 'waitNextRound', round: room.round } });
       }
 
@@ -759,18 +3561,32 @@ wss.on('connection', (ws) => {
     if (msg.t === 'relay') {
       const room = rooms.get(ws.roomId);
       if (!room) return;
+      if (room.mode === 'player') {
+        forwardPlayerRelay(room, ws, msg);
+        return;
+      }
       const payload = msg.payload || {};
 
-      if (payload.t === 'join') {
+      // spectators can chat and keep alive, nothing else
+      const watcher = room.watchers.get(ws.id);
+      if (watcher) {
+        if (payload.t === 'join' || payload.t === 'rename') {
+          watcher.name = String(payload.name || watcher.name).trim() || watcher.name;
+        } else if (payload.t === 'ping') {
+          send(ws, { t: 'relay', fromId: SERVER_HOST_ID, payload: { t: 'pong' } });
+        } else if (payload.t === 'chat' || payload.t === 'danmaku' || payload.t === 'poop') {
+          relayChat(room, ws, payload, watcher.name);
+        }
+        return;
+      }
+
+      if (payload.t === 'join' || payload.t === 'rename') {
         const p = room.clients.get(ws.id);
         if (p) {
           const prevName = String(p.name || '').trim();
           const nextName = String(payload.name || p.name || '玩家').trim() || '玩家';
           p.name = nextName;
-          if (room.cumulative[ws.id] !== undefined) {
-            if (prevName) room.cumulativeByName[prevName] = Number(room.cumulative[ws.id] || 0);
-            if (nextName) room.cumulativeByName[nextName] = Number(room.cumulative[ws.id] || 0);
-          }
+          if (nextName !== prevName && normalizeRecordRoomId(room.roomId)) await renameSeatPlayer(room, ws.id, p, nextName);
         }
         broadcastPlayers(room);
         return;
@@ -787,6 +3603,16 @@ wss.on('connection', (ws) => {
         return;
       }
 
+      if (handleAdminPayload(room, ws, payload)) return;
+
+      if (payload.t === 'restartRequest') {
+        if (!room.matchOver || room.nextReadyMap[ws.id] === undefined) return;
+        room.nextReadyMap[ws.id] = true;
+        relayToRoom(room, { t: 'nextReady', ready: room.nextReadyMap, round: room.round });
+        maybeStartNextRound(room);
+        return;
+      }
+
       if (payload.t === 'ping') {
         send(ws, { t: 'relay', fromId: SERVER_HOST_ID, payload: { t: 'pong' } });
         return;
@@ -797,13 +3623,31 @@ wss.on('connection', (ws) => {
       }
 
       if (payload.t === 'submit') {
+        if (room.autoSubmitted[ws.id]) {
+          send(ws, { t: 'relay', fromId: SERVER_HOST_ID, payload: { t: 'error', message: '排牌逾時，已由系統自動提交' } });
+          return;
+        }
         const dealt = room.dealt[ws.id]?.all9;
         const ok = validateSubmission(dealt, payload);
         if (!ok.ok) {
           send(ws, { t: 'relay', fromId: SERVER_HOST_ID, payload: { t: 'error', message: ok.msg } });
           return;
         }
-        room.submissions[ws.id] = { ...ok.data, report: String(payload.report || 'none') };
+        const report = String(payload.report || 'none');
+        // Bounce wrong or missed 報到 back once; the player resubmits with force to keep it.
+        if (!payload.force) {
+          const specials = detectSpecials(dealt, ok.data, room.settings.rules);
+          const claimOk = report === 'none' || specials.some((sp) => sp.code === report);
+          if (!claimOk || (report === 'none' && specials.length)) {
+            send(ws, {
+              t: 'relay',
+              fromId: SERVER_HOST_ID,
+              payload: { t: 'reportCheck', round: room.round, report, valid: claimOk, specials },
+            });
+            return;
+          }
+        }
+        room.submissions[ws.id] = { ...ok.data, report };
 
         const ready = {};
         for (const id of currentRoundPlayerIds(room)) ready[id] = !!room.submissions[id];
@@ -842,6 +3686,22 @@ wss.on('connection', (ws) => {
         return;
       }
 
+      if (payload.t === 'sitOut') {
+        if (!room.clients.has(ws.id)) return;
+        const sitOut = !!payload.sitOut;
+        if (sitOut) room.sitOut[ws.id] = true;
+        else delete room.sitOut[ws.id];
+        send(ws, { t: 'relay', fromId: SERVER_HOST_ID, payload: { t: 'sitOut', sitOut } });
+        // sitting out during a reveal also answers 下一局 for this seat
+        if (sitOut && room.revealed && room.nextReadyMap[ws.id] === false) {
+          room.nextReadyMap[ws.id] = true;
+          relayToRoom(room, { t: 'nextReady', ready: room.nextReadyMap, round: room.round });
+        }
+        broadcastPlayers(room);
+        maybeStartNextRound(room);
+        return;
+      }
+
       if (payload.t === 'nextReady') {
         if (!room.revealed) return;
         const round = Number(payload.round || 0);
@@ -855,7 +3715,7 @@ wss.on('connection', (ws) => {
 
       if (payload.t === 'chat' || payload.t === 'danmaku' || payload.t === 'poop') {
         const p = room.clients.get(ws.id);
-        relayToRoom(room, { ...payload, fromId: ws.id, from: p?.name || '玩家' });
+        relayChat(room, ws, payload, p?.name || '玩家');
       }
     }
   });
@@ -865,20 +3725,29 @@ wss.on('connection', (ws) => {
     if (!roomId) return;
     const room = rooms.get(roomId);
     if (!room) return;
+    if (room.mode === 'player') {
+      leavePlayerRoom(room, ws);
+      return;
+    }
+    if (room.watchers.has(ws.id)) {
+      leaveAsWatcher(room, ws);
+      return;
+    }
 
     const closedPlayer = room.clients.get(ws.id);
+    // superseded by a resumed socket on the same seat
+    if (closedPlayer && closedPlayer.socket !== ws) return;
     const closedName = String(closedPlayer?.name || '').trim();
-    if (closedName && room.cumulative[ws.id] !== undefined) {
-      room.cumulativeByName[closedName] = Number(room.cumulative[ws.id] || 0);
+    const closedPlayerId = room.seatPlayers[ws.id];
+    if (closedPlayerId && room.cumulative[ws.id] !== undefined) {
+      room.cumulativeByPlayer[closedPlayerId] = Number(room.cumulative[ws.id] || 0);
     }
 
     const leftDuringRound = !!(room.started && !room.revealed && room.dealt[ws.id]);
 
     if (leftDuringRound && !room.submissions[ws.id]) {
-      const autoSub = buildAutoSubmission(room.dealt[ws.id]?.all9);
-      if (autoSub) {
-        room.submissions[ws.id] = autoSub;
-      }
+      // hold the hand for a resume; SERVER submits for the seat if none comes
+      startSeatGraceTimer(room, ws.id);
     }
 
     room.clients.delete(ws.id);
@@ -894,6 +3763,8 @@ wss.on('connection', (ws) => {
       delete room.dealt[ws.id];
       delete room.submissions[ws.id];
       delete room.cumulative[ws.id];
+      delete room.seatPlayers[ws.id];
+      delete room.sitOut[ws.id];
     }
 
     delete room.nextReadyMap[ws.id];
@@ -918,7 +3789,32 @@ wss.on('connection', (ws) => {
   });
 });
 
-server.listen(PORT, '0.0.0.0', () => {
-  console.log(`HKE9 relay server listening on :${PORT}`);
-  console.log(`Records DB: ${hasRecordsDb() ? 'enabled (DATABASE_URL set)' : 'disabled (using fallback)'}`);
+// Name-keyed ledgers are migrated and rolled over before the first request,
+// so a player registering right away claims the unclaimed player made for their name.
+// A name that already belongs to exactly one signed-in player (registered before the
+// migration ran) hands its legacy scores to that player.
+async function migrateLedgersAtStartup() {
+  for (const roomId of RECORD_ROOM_IDS) {
+    try {
+      const record = await rolloverRecordIfNeeded(roomId);
+      for (const name of Object.keys(record?.legacyIds || {})) {
+        const claimed = await findClaimedPlayers(normalizePlayerName(name));
+        if (claimed.length === 1) await adoptLegacyScores(claimed[0]);
+      }
+    } catch (error) {
+      console.error(`Failed to migrate ledger for room ${roomId}:`, error?.message || error);
+    }
+  }
+}
+
+migrateLedgersAtStartup().finally(() => {
+  server.listen(PORT, '0.0.0.0', () => {
+    console.log(`HKE9 relay server listening on :${PORT}`);
+    console.log(`Records DB: ${hasRecordsDb() ? 'enabled (DATABASE_URL set)' : `disabled (files under ${DATA_DIR})`}`);
+    for (const roomId of RECORD_ROOM_IDS) {
+      if (!process.env.PERSIST_SECRET && !process.env[`PERSIST_TOKEN_${roomId}`]) {
+        console.warn(`Ledger writes for ${roomId} over HTTP are disabled: set PERSIST_SECRET or PERSIST_TOKEN_${roomId}`);
+      }
+    }
+  });
 });